@@ -0,0 +1,73 @@
+/**
+ * Chat bot commands
+ * Maps chat commands to the service functions behind the HTTP routes, so
+ * !elo in chat and GET /elo give the same answer and share the same cache entry
+ */
+
+import { t } from '../i18n/index.js';
+import { cache } from '../utils/cache.js';
+import { resolvePlayerParam } from '../utils/channels.js';
+import { getRenderOptions, getRenderCacheKey, render } from '../utils/render.js';
+import { invalidatePlayerCache } from '../services/matchEvents.js';
+import {
+  getPlayerData,
+  getEloData,
+  getStatsData,
+  getStreakData,
+  getTodayData,
+  getLastMatchData,
+  getLevelData,
+  getRankData,
+  formatEloResponse,
+  formatStats,
+  formatStreak,
+  formatToday,
+  formatLastMatch,
+  formatLevel,
+  formatRank
+} from '../services/faceitService.js';
+
+/**
+ * Drop every cached response of a player so the next command fetches fresh data
+ * @param {string} [playerQuery] - Player query (default player if empty)
+ * @returns {Promise<string>} Chat reply
+ */
+async function refreshPlayer(playerQuery) {
+  const playerData = await getPlayerData(playerQuery || null);
+  await invalidatePlayerCache(playerData.nickname);
+
+  return t(getRenderOptions().lang, 'bot.refreshed', { nickname: playerData.nickname });
+}
+
+// Chat command -> HTTP command it mirrors (cache namespace, channel template and
+// "commands" setting) and how to load and format its data
+// !wl (today's W/L) has no HTTP route of its own, /elo answers it along with the ELO
+export const COMMANDS = {
+  elo: { command: 'elo', load: getEloData, format: formatEloResponse },
+  stats: { command: 'stats', load: getStatsData, format: formatStats },
+  wl: { command: 'today', load: getTodayData, format: formatToday },
+  streak: { command: 'streak', load: getStreakData, format: formatStreak },
+  last: { command: 'last', load: getLastMatchData, format: formatLastMatch },
+  level: { command: 'level', load: getLevelData, format: formatLevel },
+  rank: { command: 'rank', load: getRankData, format: formatRank },
+  refresh: { command: 'refresh', run: refreshPlayer }
+};
+
+/**
+ * Run a chat command in the current channel context (see runInChannel)
+ * @param {Object} definition - Command from COMMANDS
+ * @param {string} [playerQuery] - First argument typed in chat
+ * @returns {Promise<string>} Chat reply
+ */
+export async function runCommand(definition, playerQuery) {
+  if (definition.run) {
+    return definition.run(playerQuery);
+  }
+
+  // Same key as the HTTP route without extra parameters (see getCacheKey)
+  const options = getRenderOptions();
+  const player = resolvePlayerParam(playerQuery).toLowerCase();
+  const key = getRenderCacheKey(`${definition.command}:${player}`, options);
+
+  return cache.wrap(key, async () => render(await definition.load(playerQuery || null), definition.format, options));
+}
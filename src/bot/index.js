@@ -0,0 +1,110 @@
+/**
+ * Twitch chat bot
+ * Optional alternative to Nightbot/StreamElements urlfetch: joins Twitch chat
+ * and answers commands itself, with per-command cooldowns and mod-only commands
+ */
+
+import { config } from '../config/index.js';
+import { getErrorResponse } from '../middlewares/errorHandler.js';
+import { runInChannel, isCommandEnabled, listChannels } from '../utils/channels.js';
+import { withDeadline } from '../utils/deadline.js';
+import { getRenderOptions } from '../utils/render.js';
+import { TwitchIrcClient } from './ircClient.js';
+import { COMMANDS, runCommand } from './commands.js';
+
+// Last use of each command by channel: "<channel>:<command>" -> timestamp
+const lastUsed = new Map();
+
+/**
+ * Parse a chat message into a command
+ * @param {string} text - Chat message
+ * @returns {Object|null} { name, args } or null if the message is not a command
+ */
+export function parseCommand(text) {
+  if (!text.startsWith(config.bot.prefix)) return null;
+
+  const [name, ...args] = text.slice(config.bot.prefix.length).trim().split(/\s+/);
+  return name ? { name: name.toLowerCase(), args } : null;
+}
+
+/**
+ * Check and start the cooldown of a command (mods and the broadcaster skip it)
+ * @param {Object} message - Chat message
+ * @param {string} name - Command name
+ * @returns {boolean} True if the command may run
+ */
+function takeCooldown(message, name) {
+  if (message.user.mod || message.user.broadcaster) return true;
+
+  const key = `${message.channel}:${name}`;
+  const now = Date.now();
+  if (now - (lastUsed.get(key) || 0) < config.bot.cooldown) return false;
+
+  lastUsed.set(key, now);
+  return true;
+}
+
+/**
+ * Answer a chat message if it is a known command
+ * Unknown, disabled, mod-only (for viewers) and cooling down commands are ignored
+ * @param {TwitchIrcClient} client - IRC client
+ * @param {Object} message - Chat message (see TwitchIrcClient.toChatMessage)
+ */
+async function handleMessage(client, message) {
+  if (message.user.name === config.bot.username) return;
+
+  const parsed = parseCommand(message.text);
+  const definition = parsed && COMMANDS[parsed.name];
+  if (!definition) return;
+
+  const privileged = message.user.mod || message.user.broadcaster;
+  if (config.bot.modCommands.includes(parsed.name) && !privileged) return;
+
+  const context = { key: message.channel, command: definition.command, viewer: message.user.name };
+
+  const reply = await runInChannel(context, () => withDeadline(config.bot.deadline, async () => {
+    if (!isCommandEnabled() || !takeCooldown(message, parsed.name)) return null;
+
+    try {
+      return await runCommand(definition, parsed.args[0]);
+    } catch (error) {
+      console.error(`Bot command ${parsed.name} failed:`, error.message);
+      return getErrorResponse(error, getRenderOptions().lang).message;
+    }
+  }));
+
+  if (reply) {
+    client.say(message.channel, reply, message.id);
+  }
+}
+
+/**
+ * Start the chat bot if it is configured
+ * Joins TWITCH_CHANNELS, or every channel in CHANNELS_FILE
+ * @returns {TwitchIrcClient|null} Connected client or null if the bot is disabled
+ */
+export function startBot() {
+  if (!config.bot.username) return null;
+
+  const channels = config.bot.channels.length > 0 ? config.bot.channels : listChannels();
+  if (channels.length === 0) {
+    console.error('Twitch bot not started: no channels to join (set TWITCH_CHANNELS)');
+    return null;
+  }
+
+  const client = new TwitchIrcClient({
+    url: config.bot.ircUrl,
+    username: config.bot.username,
+    token: config.bot.token,
+    channels
+  });
+
+  client.on('message', message => {
+    handleMessage(client, message).catch(error => {
+      console.error('Bot failed to handle a message:', error.message);
+    });
+  });
+
+  client.connect();
+  return client;
+}
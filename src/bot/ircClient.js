@@ -0,0 +1,242 @@
+/**
+ * Twitch IRC client
+ * Minimal IRC connection to Twitch chat (tags, PING/PONG, JOIN, PRIVMSG)
+ * with automatic reconnection. Plain irc:// URLs allow a local IRC server for testing
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import { EventEmitter } from 'node:events';
+
+// Twitch drops messages longer than this
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Unescape an IRCv3 tag value
+ * @param {string} value - Escaped value
+ * @returns {string} Value
+ */
+function unescapeTag(value) {
+  const escapes = { ':': ';', s: ' ', '\\': '\\', r: '\r', n: '\n' };
+  return value.replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+}
+
+/**
+ * Parse an IRC line
+ * e.g. "@badges=moderator/1;display-name=Viewer :viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #channel :!elo"
+ * @param {string} line - Raw line (without CRLF)
+ * @returns {Object} { tags, prefix, command, params }
+ */
+export function parseIrcLine(line) {
+  let rest = line;
+  const tags = {};
+  let prefix = null;
+
+  if (rest.startsWith('@')) {
+    const end = rest.indexOf(' ');
+    for (const tag of rest.slice(1, end).split(';')) {
+      const [key, value = ''] = tag.split('=');
+      tags[key] = unescapeTag(value);
+    }
+    rest = rest.slice(end + 1);
+  }
+
+  if (rest.startsWith(':')) {
+    const end = rest.indexOf(' ');
+    prefix = rest.slice(1, end);
+    rest = rest.slice(end + 1);
+  }
+
+  const trailingIndex = rest.indexOf(' :');
+  const trailing = trailingIndex >= 0 ? rest.slice(trailingIndex + 2) : null;
+  const [command, ...params] = (trailingIndex >= 0 ? rest.slice(0, trailingIndex) : rest).split(' ').filter(Boolean);
+
+  if (trailing !== null) {
+    params.push(trailing);
+  }
+
+  return { tags, prefix, command, params };
+}
+
+export class TwitchIrcClient extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.url - Server URL (ircs://host:port for TLS, irc://host:port for plain TCP)
+   * @param {string} options.username - Bot account login
+   * @param {string} options.token - OAuth token (with or without the "oauth:" prefix)
+   * @param {Array<string>} options.channels - Channels to join (logins, without '#')
+   * @param {number} [options.reconnectMaxDelay=30000] - Longest wait between reconnection attempts
+   */
+  constructor({ url, username, token, channels, reconnectMaxDelay = 30 * 1000 }) {
+    super();
+    this.url = new URL(url);
+    this.username = username;
+    this.token = token.startsWith('oauth:') ? token : `oauth:${token}`;
+    this.channels = channels;
+    this.reconnectMaxDelay = reconnectMaxDelay;
+
+    this.socket = null;
+    this.buffer = '';
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Open the connection, log in and join the channels
+   */
+  connect() {
+    const secure = this.url.protocol === 'ircs:';
+    const port = Number(this.url.port) || (secure ? 6697 : 6667);
+    const host = this.url.hostname;
+
+    this.socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+
+    this.socket.setEncoding('utf8');
+    this.socket.on(secure ? 'secureConnect' : 'connect', () => this.login());
+    this.socket.on('data', chunk => this.receive(chunk));
+    this.socket.on('error', error => {
+      console.error('Twitch IRC connection error:', error.message);
+    });
+    this.socket.on('close', () => this.scheduleReconnect());
+  }
+
+  /**
+   * Authenticate, request Twitch capabilities (tags carry badges and display names) and join
+   */
+  login() {
+    this.send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+    this.send(`PASS ${this.token}`);
+    this.send(`NICK ${this.username}`);
+
+    for (const channel of this.channels) {
+      this.send(`JOIN #${channel}`);
+    }
+  }
+
+  /**
+   * Reconnect with exponential backoff unless the client was closed
+   */
+  scheduleReconnect() {
+    this.socket = null;
+    this.buffer = '';
+    if (this.closed || this.reconnectTimer) return;
+
+    const delay = Math.min(1000 * 2 ** this.attempts, this.reconnectMaxDelay);
+    this.attempts++;
+    console.error(`Twitch IRC disconnected, reconnecting in ${delay / 1000}s`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Split received data into lines and handle each complete one
+   * @param {string} chunk - Received data
+   */
+  receive(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\r\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line) this.handleLine(line);
+    }
+  }
+
+  /**
+   * Handle one IRC line
+   * @param {string} line - Raw line
+   */
+  handleLine(line) {
+    const message = parseIrcLine(line);
+
+    switch (message.command) {
+      case 'PING':
+        this.send(`PONG :${message.params[0] || ''}`);
+        break;
+
+      // 001 = welcome, the login worked
+      case '001':
+        this.attempts = 0;
+        this.emit('connected');
+        break;
+
+      // Twitch is about to restart the server
+      case 'RECONNECT':
+        this.socket?.destroy();
+        break;
+
+      case 'NOTICE':
+        if (/authentication failed|improperly formatted auth/i.test(message.params[1] || '')) {
+          console.error('Twitch IRC login failed:', message.params[1]);
+        }
+        break;
+
+      case 'PRIVMSG':
+        this.emit('message', this.toChatMessage(message));
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Turn a PRIVMSG into a chat message
+   * @param {Object} message - Parsed IRC message
+   * @returns {Object} { id, channel, text, user: { name, displayName, mod, broadcaster } }
+   */
+  toChatMessage({ tags, prefix, params }) {
+    const name = (prefix || '').split('!')[0].toLowerCase();
+    const channel = (params[0] || '').replace(/^#/, '').toLowerCase();
+    const badges = tags.badges || '';
+
+    return {
+      id: tags.id || null,
+      channel,
+      text: params[1] || '',
+      user: {
+        name,
+        displayName: tags['display-name'] || name,
+        mod: tags.mod === '1' || badges.includes('moderator/'),
+        broadcaster: badges.includes('broadcaster/') || name === channel
+      }
+    };
+  }
+
+  /**
+   * Send a raw IRC line (dropped while disconnected)
+   * @param {string} line - Raw line (without CRLF)
+   */
+  send(line) {
+    if (this.socket && !this.socket.destroyed) {
+      this.socket.write(`${line}\r\n`);
+    }
+  }
+
+  /**
+   * Send a chat message, optionally as a reply to another message
+   * @param {string} channel - Channel login
+   * @param {string} text - Message
+   * @param {string} [replyTo] - ID of the message being answered
+   */
+  say(channel, text, replyTo) {
+    const tags = replyTo ? `@reply-parent-msg-id=${replyTo} ` : '';
+    const message = text.replace(/[\r\n]+/g, ' ').slice(0, MAX_MESSAGE_LENGTH);
+    this.send(`${tags}PRIVMSG #${channel} :${message}`);
+  }
+
+  /**
+   * Close the connection for good
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket?.end();
+  }
+}
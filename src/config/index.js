@@ -7,20 +7,169 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * Parse a comma-separated environment variable
+ * @param {string} name - Environment variable name
+ * @param {string} [defaultValue=''] - Value used when unset
+ * @returns {Array<string>} Trimmed lowercase items
+ */
+function parseListEnv(name, defaultValue = '') {
+  return (process.env[name] ?? defaultValue)
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a JSON environment variable
+ * @param {string} name - Environment variable name
+ * @returns {Object|null} Parsed value, {} if unset, null if invalid (reported by validateConfig)
+ */
+function parseJsonEnv(name) {
+  if (!process.env[name]) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse TRUST_PROXY into an Express 'trust proxy' setting
+ * @param {string} [value] - Hop count, 'true' or a list of proxy addresses/subnets
+ * @returns {boolean|number|string} Setting (false if unset)
+ */
+function parseTrustProxy(value) {
+  if (!value) return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
 export const config = {
   // Server configuration
   port: process.env.PORT || 3000,
+  // Time budget per request, keeps responses inside Nightbot's 5s urlfetch window
+  requestDeadline: parseInt(process.env.REQUEST_DEADLINE, 10) || 4500,
+  // Reverse proxies in front of the app (needed for the client IP used by rate limiting)
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   
   // FACEIT API configuration
   faceit: {
     apiKey: process.env.FACEIT_KEY,
     baseUrl: 'https://open.faceit.com/data/v4',
-    defaultPlayer: (process.env.PLAYER_NICKNAME || 'faceit_player').toLowerCase().trim()
+    defaultPlayer: (process.env.PLAYER_NICKNAME || 'faceit_player').toLowerCase().trim(),
+    requestTimeout: 4000, // per attempt
+    maxRetries: 2, // retries on 429, 5xx, network errors and timeouts
+    retryBaseDelay: 250, // backoff: random delay up to base * 2^attempt
+    retryMaxDelay: 2000,
+    maxConcurrent: parseInt(process.env.FACEIT_MAX_CONCURRENT, 10) || 10, // simultaneous upstream requests
+    // Per upstream host: stop calling after 5 consecutive failures, retry after 30s
+    circuitBreaker: {
+      failureThreshold: 5,
+      resetTimeout: 30 * 1000
+    }
+  },
+  
+  // Session boundaries used for today's W/L and ELO change
+  sessions: {
+    mode: (process.env.SESSION_MODE || 'day').toLowerCase(), // 'day' or 'inactivity'
+    timezone: process.env.SESSION_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    startHour: process.env.SESSION_START_HOUR ? parseInt(process.env.SESSION_START_HOUR, 10) : 7, // 'day' mode: the day starts at 07:00
+    inactivityHours: parseFloat(process.env.SESSION_INACTIVITY_HOURS) || 4, // 'inactivity' mode: gap that ends a session
+    // Per player overrides by nickname (case-insensitive), e.g. {"m9tzin":{"timezone":"America/Sao_Paulo","startHour":10}}
+    players: parseJsonEnv('PLAYER_SESSIONS')
+  },
+  
+  // Channel registry (one instance serving many streams)
+  channels: {
+    file: process.env.CHANNELS_FILE || 'channels.json'
+  },
+  
+  // Webhooks: FACEIT match events in, chat announcements out
+  webhooks: {
+    faceitSecret: process.env.FACEIT_WEBHOOK_SECRET || null, // value of the security header set in the FACEIT app
+    faceitHeader: process.env.FACEIT_WEBHOOK_HEADER || 'X-Webhook-Secret',
+    outboundUrl: process.env.OUTBOUND_WEBHOOK_URL || null, // Discord webhook or Twitch bot relay
+    deadline: 30 * 1000 // time budget to process an event in the background
+  },
+  
+  // Built-in Twitch chat bot (enabled when TWITCH_BOT_USERNAME and TWITCH_BOT_TOKEN are set)
+  bot: {
+    username: process.env.TWITCH_BOT_USERNAME?.trim().toLowerCase() || null,
+    token: process.env.TWITCH_BOT_TOKEN?.trim() || null,
+    channels: parseListEnv('TWITCH_CHANNELS').map(channel => channel.replace(/^#/, '')), // default: every channel in CHANNELS_FILE
+    ircUrl: process.env.TWITCH_IRC_URL || 'ircs://irc.chat.twitch.tv:6697',
+    prefix: process.env.BOT_PREFIX || '!',
+    cooldown: process.env.BOT_COOLDOWN ? parseInt(process.env.BOT_COOLDOWN, 10) * 1000 : 10 * 1000, // per command and channel, mods skip it
+    modCommands: parseListEnv('BOT_MOD_COMMANDS', 'refresh'), // commands only mods and the broadcaster can use
+    deadline: 10 * 1000 // no urlfetch window to fit in, but chat should not wait forever
+  },
+  
+  // Background poller of tracked players (PLAYER_NICKNAME and channel players)
+  poller: {
+    enabled: process.env.POLLER_ENABLED === 'true',
+    idleInterval: (parseInt(process.env.POLL_IDLE_INTERVAL, 10) || 300) * 1000, // player not in a match
+    liveInterval: (parseInt(process.env.POLL_LIVE_INTERVAL, 10) || 60) * 1000, // player in a match: catch the result quickly
+    deadline: 30 * 1000 // time budget of one poll
+  },
+  
+  // Per-client rate limiting of chat commands (only cache misses spend tokens)
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    allowlist: parseListEnv('RATE_LIMIT_ALLOWLIST'), // IPs and /c/<channel> paths never limited, e.g. the streamer's own channel
+    maxBuckets: 10000,
+    maxStreamsPerIp: 5, // open overlay event streams per client IP
+    // Token buckets per route (cache namespace): burst = bucket size, perMinute = refill rate
+    // ip: per IP, client: per IP and channel, player: per IP and target player
+    routes: {
+      default: { ip: { burst: 60, perMinute: 60 }, client: { burst: 20, perMinute: 20 }, player: { burst: 6, perMinute: 6 } },
+      stats: { ip: { burst: 10, perMinute: 5 }, client: { burst: 4, perMinute: 2 }, player: { burst: 2, perMinute: 1 } }, // up to 100 matches per miss
+      maps: { ip: { burst: 10, perMinute: 5 }, client: { burst: 4, perMinute: 2 }, player: { burst: 2, perMinute: 1 } },
+      compare: { ip: { burst: 10, perMinute: 5 }, client: { burst: 4, perMinute: 2 }, player: { burst: 2, perMinute: 1 } },
+      overlay: { ip: { burst: 20, perMinute: 10 }, client: { burst: 8, perMinute: 4 }, player: { burst: 4, perMinute: 2 } } // page + event stream per load, not cached
+    }
+  },
+  
+  // Local storage (last-known-good snapshots, ELO history...)
+  storage: {
+    dataDir: process.env.DATA_DIR || 'data',
+    historyRetentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 90 // ELO history kept on disk
+  },
+  
+  // Internationalization configuration
+  i18n: {
+    defaultLang: process.env.DEFAULT_LANG || 'pt-BR' // pt-BR, en or es
   },
   
   // Cache configuration
   cache: {
-    ttl: 30 * 1000 // 30 seconds
+    backend: (process.env.CACHE_BACKEND || 'memory').toLowerCase(), // memory or redis
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    redisPrefix: process.env.REDIS_PREFIX || 'faceit-elo-bot:',
+    ttl: 30 * 1000, // 30 seconds (default for every namespace)
+    staleTtl: parseInt(process.env.CACHE_STALE_TTL, 10) || 5 * 60 * 1000, // serve stale data up to 5 minutes while refreshing
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+    sessionMaxEntries: 10000, // memory backend: session and last seen ELO entries (two per player), kept apart from responses
+    // TTL per key namespace (prefix before ':')
+    namespaces: {
+      elo: 30 * 1000,
+      stats: 2 * 60 * 1000, // up to 100 matches per miss, changes only after a match
+      streak: 60 * 1000,
+      today: 30 * 1000, // chat bot's !wl, like elo
+      history: 60 * 1000,
+      match: 30 * 1000,
+      last: 60 * 1000,
+      maps: 2 * 60 * 1000, // like stats
+      compare: 2 * 60 * 1000,
+      level: 60 * 1000,
+      rank: 10 * 60 * 1000, // rankings change slowly
+      overlay: 60 * 1000, // dropped as soon as a match finishes
+      'player-id': 7 * 24 * 60 * 60 * 1000 // nickname -> player ID mappings
+    }
   }
 };
 
@@ -34,5 +183,42 @@ export function validateConfig() {
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  if (Boolean(config.bot.username) !== Boolean(config.bot.token)) {
+    throw new Error('TWITCH_BOT_USERNAME and TWITCH_BOT_TOKEN must be set together');
+  }
+
+  if (!config.sessions.players || typeof config.sessions.players !== 'object') {
+    throw new Error('PLAYER_SESSIONS must be a JSON object');
+  }
+
+  // Validate default and per player session settings
+  const sessionSettings = [['default', config.sessions], ...Object.entries(config.sessions.players)];
+  for (const [name, settings] of sessionSettings) {
+    validateSessionSettings(name, settings);
+  }
 }
 
+/**
+ * Validate session settings (mode, timezone, startHour)
+ * @param {string} name - Owner of the settings, used in error messages
+ * @param {Object} settings - Session settings
+ * @throws {Error} When a setting is invalid
+ */
+export function validateSessionSettings(name, settings) {
+  if (settings.mode && !['day', 'inactivity'].includes(settings.mode)) {
+    throw new Error(`Invalid session mode for ${name}: ${settings.mode}`);
+  }
+
+  if (settings.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone });
+    } catch (error) {
+      throw new Error(`Invalid session timezone for ${name}: ${settings.timezone}`);
+    }
+  }
+
+  if (settings.startHour !== undefined && !(settings.startHour >= 0 && settings.startHour <= 23)) {
+    throw new Error(`Invalid session start hour for ${name}: ${settings.startHour}`);
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Internationalization module
+ * Message catalogs for every user-visible string (pt-BR, en, es)
+ */
+
+import { config } from '../config/index.js';
+import ptBR from './locales/pt-BR.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+// Available message catalogs by language code
+const catalogs = {
+  'pt-BR': ptBR,
+  en,
+  es
+};
+
+// Catalog used when a key is missing in the requested language
+const FALLBACK_LANGUAGE = 'pt-BR';
+
+export const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+/**
+ * Resolve a language code to a supported catalog
+ * Accepts variations like 'EN', 'en-US', 'pt' or 'pt_br'
+ * @param {string} [lang] - Requested language code
+ * @returns {string} Supported language code (config default if unknown)
+ */
+export function resolveLanguage(lang) {
+  if (typeof lang === 'string' && lang.trim()) {
+    const normalized = lang.trim().replace('_', '-').toLowerCase();
+    const exact = SUPPORTED_LANGUAGES.find(code => code.toLowerCase() === normalized);
+    if (exact) return exact;
+
+    // Match on the base language (en-US -> en, pt -> pt-BR)
+    const base = normalized.split('-')[0];
+    const partial = SUPPORTED_LANGUAGES.find(code => code.toLowerCase().split('-')[0] === base);
+    if (partial) return partial;
+  }
+
+  return SUPPORTED_LANGUAGES.includes(config.i18n.defaultLang)
+    ? config.i18n.defaultLang
+    : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Look up a dotted key (e.g. 'errors.playerNotFound') in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted message key
+ * @returns {string|undefined} Message or undefined if missing
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Translate a message key, interpolating {params}
+ * @param {string} lang - Language code
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string} Translated message (the key itself if missing everywhere)
+ */
+export function t(lang, key, params = {}) {
+  const message = lookup(catalogs[resolveLanguage(lang)], key)
+    ?? lookup(catalogs[FALLBACK_LANGUAGE], key)
+    ?? key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+}
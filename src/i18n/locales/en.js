@@ -0,0 +1,87 @@
+/**
+ * English message catalog
+ */
+
+export default {
+  errors: {
+    playerNotFound: 'invalid or unknown nickname :(',
+    noCS2Stats: 'Player has no CS2 stats :(',
+    playerLookup: 'Player not found',
+    faceitApi: 'Error fetching FACEIT data',
+    rateLimited: 'FACEIT is rate limiting requests, try again in a few seconds',
+    timeout: 'FACEIT took too long to answer, try again',
+    missingComparePlayer: 'Tell me who to compare with, e.g. !compare s1mple',
+    unknownChannel: 'Channel not configured',
+    commandDisabled: 'This command is disabled on this channel',
+    slowDown: 'Too many commands, wait a few seconds',
+    generic: 'Error processing request'
+  },
+  elo: {
+    summary: '{elo}, W: {wins}, L: {losses}',
+    delta: '{delta} ELO',
+    stale: '(data from {age} ago)'
+  },
+  stats: {
+    elo: 'ELO',
+    level: 'Level',
+    avgKills: 'Avg Kills',
+    kd: 'K/D',
+    hsPercent: 'HS%',
+    winrate: 'Winrate',
+    adr: 'ADR',
+    kr: 'K/R',
+    mvps: 'MVPs',
+    multiKills: 'Triple/Quadro/Penta',
+    clutches: 'Clutches 1v1/1v2'
+  },
+  today: {
+    summary: 'Today: W: {wins}, L: {losses}'
+  },
+  streak: {
+    empty: 'No matches found',
+    summary: 'Last {count} (newest → oldest): {results}'
+  },
+  history: {
+    summary: '{change} ELO ({days} d): {startElo} → {elo}, peak: {peakElo}, W: {wins}, L: {losses}',
+    unknown: 'ELO change unknown ({days} d), W: {wins}, L: {losses}',
+    partial: '(history covers {age})'
+  },
+  match: {
+    live: 'Live on {map}: {team} ({teamElo} ELO, level {teamLevel}) vs {opponent} ({opponentElo} ELO, level {opponentLevel})',
+    last: 'Last match on {map}: {score} ({result}) | {team} ({teamElo} ELO, level {teamLevel}) vs {opponent} ({opponentElo} ELO, level {opponentLevel})',
+    premade: 'Enemy premade: {premade}',
+    stakes: 'Win: +{gain}, Loss: -{loss}',
+    none: 'No matches found'
+  },
+  last: {
+    result: 'Last: {map} {score} ({result})',
+    scoreboard: 'K/D/A: {kills}/{deaths}/{assists} ({kd}) | ADR: {adr} | HS: {hsPercent}% | MVPs: {mvps} | #{rank}/{players} on the scoreboard',
+    pending: 'stats not available yet'
+  },
+  maps: {
+    entry: '{map}: {games} ({winrate}%, K/D {kd})',
+    highlights: 'Best: {best}, Worst: {worst}',
+    single: '{map} (last {limit}): {games} matches, W: {wins}, L: {losses} ({winrate}%), K/D {kd}',
+    notPlayed: 'No matches on {map} in the last {limit}'
+  },
+  compare: {
+    together: 'Together: {wins}W/{losses}L',
+    against: 'Against: {wins}-{losses}'
+  },
+  level: {
+    current: 'Level {level} ({elo} ELO)',
+    next: '{eloToNext} ELO to level {nextLevel} (~{winsNeeded} wins)',
+    drop: 'Drops a level at -{eloToDrop} ELO'
+  },
+  rank: {
+    unranked: 'Not ranked'
+  },
+  announce: {
+    ready: 'Match found: {team} vs {opponent}',
+    finished: 'GG! {change} ELO ({elo})',
+    finishedUnknown: 'GG! {elo} ELO'
+  },
+  bot: {
+    refreshed: 'Refreshed {nickname}'
+  }
+};
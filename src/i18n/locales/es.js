@@ -0,0 +1,87 @@
+/**
+ * Spanish message catalog
+ */
+
+export default {
+  errors: {
+    playerNotFound: 'nick inválido o no encontrado :(',
+    noCS2Stats: 'El jugador no tiene stats de CS2 :(',
+    playerLookup: 'Jugador no encontrado',
+    faceitApi: 'Error al obtener datos de FACEIT',
+    rateLimited: 'FACEIT está limitando las consultas, inténtalo de nuevo en unos segundos',
+    timeout: 'FACEIT tardó en responder, inténtalo de nuevo',
+    missingComparePlayer: 'Indica con quién comparar, ej: !compare s1mple',
+    unknownChannel: 'Canal no configurado',
+    commandDisabled: 'Este comando está desactivado en este canal',
+    slowDown: 'Demasiados comandos, espera unos segundos',
+    generic: 'Error al procesar la solicitud'
+  },
+  elo: {
+    summary: '{elo}, V: {wins}, D: {losses}',
+    delta: '{delta} ELO',
+    stale: '(datos de hace {age})'
+  },
+  stats: {
+    elo: 'ELO',
+    level: 'Nivel',
+    avgKills: 'Kills prom.',
+    kd: 'K/D',
+    hsPercent: 'HS%',
+    winrate: 'Winrate',
+    adr: 'ADR',
+    kr: 'K/R',
+    mvps: 'MVPs',
+    multiKills: 'Triple/Quadra/Penta',
+    clutches: 'Clutches 1v1/1v2'
+  },
+  today: {
+    summary: 'Hoy: W: {wins}, L: {losses}'
+  },
+  streak: {
+    empty: 'No se encontraron partidas',
+    summary: 'Últimas {count} (más reciente → antigua): {results}'
+  },
+  history: {
+    summary: '{change} ELO ({days} d): {startElo} → {elo}, pico: {peakElo}, V: {wins}, D: {losses}',
+    unknown: 'Cambio de ELO desconocido ({days} d), V: {wins}, D: {losses}',
+    partial: '(historial de {age})'
+  },
+  match: {
+    live: 'En vivo en {map}: {team} ({teamElo} ELO, nivel {teamLevel}) vs {opponent} ({opponentElo} ELO, nivel {opponentLevel})',
+    last: 'Última partida en {map}: {score} ({result}) | {team} ({teamElo} ELO, nivel {teamLevel}) vs {opponent} ({opponentElo} ELO, nivel {opponentLevel})',
+    premade: 'Premade rival: {premade}',
+    stakes: 'Victoria: +{gain}, Derrota: -{loss}',
+    none: 'No se encontraron partidas'
+  },
+  last: {
+    result: 'Última: {map} {score} ({result})',
+    scoreboard: 'K/D/A: {kills}/{deaths}/{assists} ({kd}) | ADR: {adr} | HS: {hsPercent}% | MVPs: {mvps} | #{rank}/{players} en la tabla',
+    pending: 'estadísticas aún no disponibles'
+  },
+  maps: {
+    entry: '{map}: {games} ({winrate}%, K/D {kd})',
+    highlights: 'Mejor: {best}, Peor: {worst}',
+    single: '{map} (últimas {limit}): {games} partidas, V: {wins}, D: {losses} ({winrate}%), K/D {kd}',
+    notPlayed: 'Ninguna partida en {map} en las últimas {limit}'
+  },
+  compare: {
+    together: 'Juntos: {wins}V/{losses}D',
+    against: 'Contra: {wins}-{losses}'
+  },
+  level: {
+    current: 'Nivel {level} ({elo} ELO)',
+    next: 'Faltan {eloToNext} ELO para el nivel {nextLevel} (~{winsNeeded} victorias)',
+    drop: 'Baja de nivel con -{eloToDrop} ELO'
+  },
+  rank: {
+    unranked: 'Sin posición en el ranking'
+  },
+  announce: {
+    ready: 'Partida encontrada: {team} vs {opponent}',
+    finished: 'GG! {change} ELO ({elo})',
+    finishedUnknown: 'GG! {elo} ELO'
+  },
+  bot: {
+    refreshed: 'Datos de {nickname} actualizados'
+  }
+};
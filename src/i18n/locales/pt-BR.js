@@ -0,0 +1,88 @@
+/**
+ * Portuguese (Brazil) message catalog
+ * Default language of the bot
+ */
+
+export default {
+  errors: {
+    playerNotFound: 'nick inválido ou não encontrado :(',
+    noCS2Stats: 'Jogador não possui stats no CS2 :(',
+    playerLookup: 'Jogador não encontrado',
+    faceitApi: 'Erro ao buscar dados da FACEIT',
+    rateLimited: 'FACEIT está limitando as consultas, tente novamente em alguns segundos',
+    timeout: 'FACEIT demorou para responder, tente novamente',
+    missingComparePlayer: 'Informe com quem comparar, ex: !compare s1mple',
+    unknownChannel: 'Canal não configurado',
+    commandDisabled: 'Este comando está desativado neste canal',
+    slowDown: 'Muitos comandos, aguarde alguns segundos',
+    generic: 'Erro ao processar requisição'
+  },
+  elo: {
+    summary: '{elo}, W: {wins}, L: {losses}',
+    delta: '{delta} ELO',
+    stale: '(dados de {age} atrás)'
+  },
+  stats: {
+    elo: 'ELO',
+    level: 'Level',
+    avgKills: 'Avg Kills',
+    kd: 'K/D',
+    hsPercent: 'HS%',
+    winrate: 'Winrate',
+    adr: 'ADR',
+    kr: 'K/R',
+    mvps: 'MVPs',
+    multiKills: 'Triple/Quadra/Penta',
+    clutches: 'Clutches 1v1/1v2'
+  },
+  today: {
+    summary: 'Hoje: W: {wins}, L: {losses}'
+  },
+  streak: {
+    empty: 'Nenhuma partida encontrada',
+    summary: 'Últimas {count} (mais recente → antiga): {results}'
+  },
+  history: {
+    summary: '{change} ELO ({days} d): {startElo} → {elo}, pico: {peakElo}, W: {wins}, L: {losses}',
+    unknown: 'Variação de ELO desconhecida ({days} d), W: {wins}, L: {losses}',
+    partial: '(histórico de {age})'
+  },
+  match: {
+    live: 'Ao vivo em {map}: {team} ({teamElo} ELO, nível {teamLevel}) vs {opponent} ({opponentElo} ELO, nível {opponentLevel})',
+    last: 'Última partida em {map}: {score} ({result}) | {team} ({teamElo} ELO, nível {teamLevel}) vs {opponent} ({opponentElo} ELO, nível {opponentLevel})',
+    premade: 'Premade inimiga: {premade}',
+    stakes: 'Vitória: +{gain}, Derrota: -{loss}',
+    none: 'Nenhuma partida encontrada'
+  },
+  last: {
+    result: 'Última: {map} {score} ({result})',
+    scoreboard: 'K/D/A: {kills}/{deaths}/{assists} ({kd}) | ADR: {adr} | HS: {hsPercent}% | MVPs: {mvps} | #{rank}/{players} no placar',
+    pending: 'estatísticas ainda não disponíveis'
+  },
+  maps: {
+    entry: '{map}: {games} ({winrate}%, K/D {kd})',
+    highlights: 'Melhor: {best}, Pior: {worst}',
+    single: '{map} (últimas {limit}): {games} partidas, W: {wins}, L: {losses} ({winrate}%), K/D {kd}',
+    notPlayed: 'Nenhuma partida em {map} nas últimas {limit}'
+  },
+  compare: {
+    together: 'Juntos: {wins}W/{losses}L',
+    against: 'Contra: {wins}-{losses}'
+  },
+  level: {
+    current: 'Nível {level} ({elo} ELO)',
+    next: 'Faltam {eloToNext} ELO para o nível {nextLevel} (~{winsNeeded} vitórias)',
+    drop: 'Cai de nível com -{eloToDrop} ELO'
+  },
+  rank: {
+    unranked: 'Sem posição no ranking'
+  },
+  announce: {
+    ready: 'Partida encontrada: {team} vs {opponent}',
+    finished: 'GG! {change} ELO ({elo})',
+    finishedUnknown: 'GG! {elo} ELO'
+  },
+  bot: {
+    refreshed: 'Dados de {nickname} atualizados'
+  }
+};
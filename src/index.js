@@ -8,16 +8,34 @@ import express from 'express';
 // Configuration
 import { config, validateConfig } from './config/index.js';
 import { errorHandler } from './middlewares/errorHandler.js';
+import { deadlineMiddleware } from './utils/deadline.js';
+import { snapshotStore } from './storage/snapshotStore.js';
+import { historyStore } from './storage/historyStore.js';
+import { channelMiddleware, loadChannels, getTrackedPlayers } from './utils/channels.js';
+import { botContextMiddleware, mentionMiddleware } from './middlewares/botContext.js';
 
 // Import routes
 import healthRouter from './routes/health.js';
 import eloRouter from './routes/elo.js';
 import statsRouter from './routes/stats.js';
 import streakRouter from './routes/streak.js';
+import historyRouter from './routes/history.js';
+import matchRouter from './routes/match.js';
+import lastRouter from './routes/last.js';
+import mapsRouter from './routes/maps.js';
+import compareRouter from './routes/compare.js';
+import levelRouter from './routes/level.js';
+import rankRouter from './routes/rank.js';
+import webhooksRouter from './routes/webhooks.js';
+import overlayRouter from './routes/overlay.js';
+import { startAnnouncer } from './services/announcer.js';
+import { startBot } from './bot/index.js';
+import { poller } from './services/poller.js';
 
 // Validate configuration
 try {
   validateConfig();
+  loadChannels();
 } catch (error) {
   console.error('Configuration Error:', error.message);
   process.exit(1);
@@ -25,19 +43,48 @@ try {
 
 // Initialize Express app
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
 app.use(express.json());
+app.use(deadlineMiddleware(config.requestDeadline));
+app.use(botContextMiddleware);
 
 // Routes
 app.use('/health', healthRouter);
-app.use('/elo', eloRouter);
-app.use('/stats', statsRouter);
-app.use('/streak', streakRouter);
+app.use('/webhooks', webhooksRouter);
+
+// Chat commands, served for the default channel and under /c/<channel>
+const commands = express.Router();
+commands.use('/elo', eloRouter);
+commands.use('/stats', statsRouter);
+commands.use('/streak', streakRouter);
+commands.use('/history', historyRouter);
+commands.use('/match', matchRouter);
+commands.use('/last', lastRouter);
+commands.use('/maps', mapsRouter);
+commands.use('/compare', compareRouter);
+commands.use('/level', levelRouter);
+commands.use('/rank', rankRouter);
+commands.use('/overlay', overlayRouter);
+
+app.use('/c/:channel', channelMiddleware, mentionMiddleware, commands);
+app.use('/', channelMiddleware, mentionMiddleware, commands);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
+// Announce match events on outbound webhooks
+startAnnouncer();
+
+// Answer commands in Twitch chat (optional)
+const bot = startBot();
+
+// Poll tracked players in the background (optional)
+if (config.poller.enabled) {
+  poller.start(getTrackedPlayers());
+}
+
 // Start server
 const PORT = config.port;
 app.listen(PORT, () => {
@@ -49,16 +96,34 @@ app.listen(PORT, () => {
   console.log(`  GET /elo?nick=<nickname> - Current ELO rating`);
   console.log(`  GET /stats?player=<nickname> - Player statistics`);
   console.log(`  GET /streak?nick=<nickname> - Last 10 matches`);
+  console.log(`  GET /history?nick=<nickname>&days=<days> - ELO over time`);
+  console.log(`  GET /match?nick=<nickname> - Live or last match`);
+  console.log(`  GET /last?nick=<nickname> - Last match scoreboard`);
+  console.log(`  GET /maps?nick=<nickname>&map=<map> - Stats per map`);
+  console.log(`  GET /compare?a=<nickname>&b=<nickname> - Head-to-head`);
+  console.log(`  GET /level?nick=<nickname> - Level progress`);
+  console.log(`  GET /rank?nick=<nickname> - Region and country ranking`);
+  console.log(`  GET /overlay?nick=<nickname> - OBS overlay (live updates from /overlay/events)`);
+  console.log(`  GET /c/<channel>/<command> - Any command for a configured channel`);
+  console.log(`  POST /webhooks/faceit - FACEIT match events`);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  bot?.close();
+  poller.stop();
+  snapshotStore.flush();
+  historyStore.flush();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\nSIGINT received, shutting down gracefully...');
+  bot?.close();
+  poller.stop();
+  snapshotStore.flush();
+  historyStore.flush();
   process.exit(0);
 });
 
@@ -0,0 +1,108 @@
+/**
+ * Bot context middleware
+ * Works out which chat bot is calling, from which channel and for which viewer:
+ * - Nightbot: Nightbot-Channel and Nightbot-User headers sent with every urlfetch
+ * - StreamElements (and other bots): 'channel' and 'user' query parameters filled
+ *   by bot variables, e.g. ?user=${sender}&channel=${channel}
+ */
+
+import { firstQueryValue } from '../utils/render.js';
+import { getCurrentChannel } from '../utils/channels.js';
+
+/**
+ * Parse a Nightbot header (e.g. "name=m9tzin&displayName=m9TZin&provider=twitch&providerId=123")
+ * @param {string} [header] - Header value
+ * @returns {Object|null} Header fields or null if missing
+ */
+export function parseNightbotHeader(header) {
+  if (!header) return null;
+
+  const fields = Object.fromEntries(new URLSearchParams(header));
+  return fields.name ? fields : null;
+}
+
+/**
+ * Normalize a chat name sent by a bot variable (drops a leading '@')
+ * @param {string} [value] - Raw name
+ * @returns {string|null} Name or null if empty
+ */
+function normalizeChatName(value) {
+  const name = value?.trim().replace(/^@/, '');
+  return name || null;
+}
+
+/**
+ * Read the bot context of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { provider, channel, user: { name, displayName, level } | null }
+ */
+export function getBotContext(req) {
+  const nightbotChannel = parseNightbotHeader(req.get('Nightbot-Channel'));
+  const nightbotUser = parseNightbotHeader(req.get('Nightbot-User'));
+
+  if (nightbotChannel || nightbotUser) {
+    return {
+      provider: 'nightbot',
+      channel: nightbotChannel?.name.toLowerCase() || null,
+      user: nightbotUser && {
+        name: nightbotUser.name.toLowerCase(),
+        displayName: nightbotUser.displayName || nightbotUser.name,
+        level: nightbotUser.userLevel || null
+      }
+    };
+  }
+
+  const channel = normalizeChatName(firstQueryValue(req.query.channel));
+  const user = normalizeChatName(firstQueryValue(req.query.user));
+
+  return {
+    provider: channel || user ? 'streamelements' : null,
+    channel: channel?.toLowerCase() || null,
+    user: user && { name: user.toLowerCase(), displayName: user, level: null }
+  };
+}
+
+/**
+ * Bot context middleware
+ * Makes the bot context available as req.bot
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function botContextMiddleware(req, res, next) {
+  req.bot = getBotContext(req);
+  next();
+}
+
+/**
+ * Mention middleware
+ * Addresses the viewer who ran the command ("@viewer 2150, W: 3, L: 1") when the
+ * channel has "mention": true or the request has mention=1
+ * Applied when sending, so cached responses stay shared between viewers
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function mentionMiddleware(req, res, next) {
+  const viewer = req.bot?.user;
+  const enabled = ['1', 'true'].includes(firstQueryValue(req.query.mention))
+    || getCurrentChannel()?.channel.mention === true;
+
+  if (!viewer || !enabled) {
+    return next();
+  }
+
+  const send = res.send.bind(res);
+  res.send = function(body) {
+    // Only chat text: JSON bodies (strings from res.json) and pages keep their type
+    const type = res.get('Content-Type');
+    if (typeof body === 'string' && (!type || type.startsWith('text/plain'))) {
+      // The viewer name comes from the request, never send it as HTML
+      res.type('text');
+      body = `@${viewer.displayName} ${body}`;
+    }
+    return send(body);
+  };
+
+  next();
+}
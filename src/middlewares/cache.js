@@ -1,43 +1,134 @@
 /**
  * Cache middleware
- * Provides caching functionality for routes
+ * Provides declarative per-route response caching
  */
 
 import { cache } from '../utils/cache.js';
-import { config } from '../config/index.js';
+import { resolvePlayerParam } from '../utils/channels.js';
+import { firstQueryValue, getRenderOptions, getRenderCacheKey } from '../utils/render.js';
+
+/**
+ * Check if the client asked to skip the cache
+ * e.g. the streamer's own refresh command sending "Cache-Control: no-cache"
+ * @param {Object} req - Express request
+ * @returns {boolean} True if cached data must not be served
+ */
+function isCacheBypass(req) {
+  const cacheControl = req.get('Cache-Control') || '';
+  return /no-cache|no-store|max-age=0/i.test(cacheControl) || req.get('Pragma') === 'no-cache';
+}
+
+/**
+ * Build the cache key for a request from its normalized query params
+ * Format: <namespace>:<player>[:<param>=<value>...]:<format>:<lang>[:<template>]
+ * The player always comes right after the namespace so every response
+ * for a player can be cleared with cache.clear('<namespace>:<player>:*')
+ * @param {Object} req - Express request
+ * @param {Object} policy - Route cache policy
+ * @returns {string} Cache key
+ */
+export function getCacheKey(req, policy) {
+  const player = resolvePlayerParam(firstQueryValue(req.query[policy.playerParam])).toLowerCase();
+
+  const params = (policy.params || [])
+    .map(name => [name, firstQueryValue(req.query[name])?.trim().toLowerCase()])
+    .filter(([, value]) => value)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`);
+
+  const baseKey = [policy.namespace, player, ...params].join(':');
+  return getRenderCacheKey(baseKey, getRenderOptions(req.query));
+}
 
 /**
  * Cache middleware factory
- * @param {string} cacheKey - Key to use for caching
- * @param {Function} [shouldCache] - Optional function to determine if response should be cached
+ * - Fresh response: served from cache (X-Cache: HIT)
+ * - Expired response within staleTtl: served from cache and refreshed in the background
+ * - Missing response: route handler runs, concurrent requests share its result (X-Cache: MISS)
+ * - "Cache-Control: no-cache" request header: handler always runs, result is cached
+ * Error responses (see errorHandler) are never cached
+ * @param {Object} policy - Route cache policy
+ * @param {string} policy.namespace - Key namespace, also selects the TTL from config.cache.namespaces
+ * @param {string} policy.playerParam - Query param holding the player nickname
+ * @param {Array<string>} [policy.params] - Other query params that change the response
+ * @param {number} [policy.ttl] - TTL override in milliseconds
+ * @param {Function} [policy.shouldCache] - Optional function to determine if request should be cached
  * @returns {Function} Express middleware
  */
-export function cacheMiddleware(cacheKey, shouldCache = () => true) {
-  return (req, res, next) => {
+export function cacheMiddleware(policy) {
+  const { shouldCache = () => true } = policy;
+
+  return async (req, res, next) => {
     // Check if we should use cache for this request
     if (!shouldCache(req)) {
       return next();
     }
 
-    // Try to get cached data
-    const cachedData = cache.get(cacheKey, config.cache.ttl);
-    
-    if (cachedData) {
-      return res.send(cachedData);
-    }
-
-    // Store original res.send
+    const cacheKey = getCacheKey(req, policy);
+    const ttl = policy.ttl ?? cache.getTtl(cacheKey);
     const originalSend = res.send.bind(res);
+    let responded = false;
+
+    // Send data with cache headers (Age in seconds)
+    const sendWithCacheHeaders = (data, status, age) => {
+      responded = true;
+      if (res.headersSent) return;
 
-    // Override res.send to cache the response
-    res.send = function(data) {
-      if (res.statusCode === 200 && shouldCache(req)) {
-        cache.set(cacheKey, data);
+      res.set('X-Cache', status);
+      res.set('Age', String(Math.floor(age / 1000)));
+      // Cached text keeps the plain text type of sendRendered
+      if (typeof data === 'string') {
+        res.type('text');
       }
-      return originalSend(data);
+      originalSend(data);
     };
 
-    next();
+    // Run the route handler and resolve with the body it sends
+    // Errors are sent as-is (unless already answered from cache) and not cached
+    const runHandler = () => new Promise((resolve, reject) => {
+      res.send = function(data) {
+        res.send = originalSend;
+
+        if (res.locals.error || res.statusCode !== 200) {
+          reject(res.locals.error || new Error(`Response status ${res.statusCode}`));
+          return responded ? res : originalSend(data);
+        }
+
+        resolve(data);
+        return res;
+      };
+
+      next();
+    });
+
+    if (!isCacheBypass(req)) {
+      const { state, data, age } = await cache.lookup(cacheKey, { ttl });
+
+      if (state === 'hit') {
+        return sendWithCacheHeaders(data, 'HIT', age);
+      }
+
+      if (state === 'stale') {
+        sendWithCacheHeaders(data, 'HIT', age);
+        return cache.revalidate(cacheKey, runHandler, ttl);
+      }
+    }
+
+    let ownsRequest = false;
+
+    try {
+      const data = await cache.refresh(cacheKey, () => {
+        ownsRequest = true;
+        return runHandler();
+      }, ttl);
+
+      sendWithCacheHeaders(data, 'MISS', 0);
+    } catch (error) {
+      // The request that ran the handler already sent its error response,
+      // requests that were waiting on it render the error themselves
+      if (!ownsRequest) {
+        next(error);
+      }
+    }
   };
 }
-
@@ -3,14 +3,115 @@
  * Provides centralized error handling for all routes
  */
 
+import { getRenderOptions } from '../utils/render.js';
+import { t } from '../i18n/index.js';
+
 /**
  * Custom error class for player not found
+ * messageKey is translated to the request language by errorHandler
  */
 export class PlayerNotFoundError extends Error {
-  constructor(message = 'nick inválido ou não encontrado :(') {
+  constructor(message = t(null, 'errors.playerNotFound')) {
     super(message);
     this.name = 'PlayerNotFoundError';
     this.statusCode = 404;
+    this.messageKey = 'errors.playerNotFound';
+  }
+}
+
+/**
+ * Base class for errors returned by FACEIT (and other upstream) APIs
+ * messageKey is translated to the request language by errorHandler
+ */
+export class FaceitApiError extends Error {
+  constructor(message, statusCode = 502, messageKey = 'errors.faceitApi') {
+    super(message);
+    this.name = 'FaceitApiError';
+    this.statusCode = statusCode;
+    this.messageKey = messageKey;
+  }
+}
+
+/**
+ * Upstream resource not found (HTTP 404)
+ */
+export class NotFoundError extends FaceitApiError {
+  constructor(message = 'FACEIT API resource not found') {
+    super(message, 404);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Upstream rate limit reached (HTTP 429)
+ * retryAfter is the delay in milliseconds requested by the API, if any
+ */
+export class RateLimitedError extends FaceitApiError {
+  constructor(message = 'FACEIT API rate limit reached', retryAfter = null) {
+    super(message, 429, 'errors.rateLimited');
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Upstream failure (HTTP 5xx, network error or unexpected response)
+ */
+export class UpstreamError extends FaceitApiError {
+  constructor(message = 'FACEIT API unavailable', status = null) {
+    super(message, 502);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+/**
+ * Upstream host skipped because its circuit breaker is open
+ */
+export class CircuitOpenError extends UpstreamError {
+  constructor(host) {
+    super(`Circuit breaker open for ${host}`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+  }
+}
+
+/**
+ * Upstream did not answer in time (request timeout or deadline exceeded)
+ */
+export class TimeoutError extends FaceitApiError {
+  constructor(message = 'FACEIT API timeout') {
+    super(message, 504, 'errors.timeout');
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Command used without a required parameter
+ * Answered with a usage hint (HTTP 200 so chat bots display it)
+ */
+export class UsageError extends Error {
+  constructor(messageKey) {
+    super(`Invalid command usage: ${messageKey}`);
+    this.name = 'UsageError';
+    this.statusCode = 200;
+    this.messageKey = messageKey;
+  }
+}
+
+/**
+ * Client sent too many commands or opened too many streams (see rateLimit.js)
+ * Answered like a usage error so chat shows a "wait a few seconds" message instead of a 429
+ * retryAfter is the delay in milliseconds until the next command is accepted, if known
+ */
+export class TooManyRequestsError extends UsageError {
+  constructor(retryAfter = null) {
+    super('errors.slowDown');
+    this.message = retryAfter === null
+      ? 'Too many requests'
+      : `Too many requests, retry in ${Math.ceil(retryAfter / 1000)}s`;
+    this.name = 'TooManyRequestsError';
+    this.retryAfter = retryAfter;
   }
 }
 
@@ -26,38 +127,77 @@ export function asyncHandler(fn) {
 }
 
 /**
- * Global error handler middleware
- * Should be added last in the middleware chain
+ * Send an error message using the format requested by the client
+ * JSON clients receive { error }, chat bots receive plain text (never HTML)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
  */
-export function errorHandler(err, req, res, next) {
-  console.error('Error:', err.message);
-  console.error('Stack:', err.stack);
+function sendError(req, res, statusCode, message) {
+  const { format } = getRenderOptions(req.query);
+
+  if (format === 'json') {
+    return res.status(statusCode).json({ error: message });
+  }
 
-  // Handling custom errors with specific status codes
+  return res.status(statusCode).type('text').send(message);
+}
+
+/**
+ * Map an error to the status code and chat message it is answered with
+ * Bot-facing errors use status 200 so @Nightbot and @StreamElements display the message
+ * @param {Error} err - Error
+ * @param {string} lang - Language code
+ * @returns {Object} { statusCode, message }
+ */
+export function getErrorResponse(err, lang) {
   // Handle PlayerNotFoundError (404) - return 200 so @Nightbot and @StreamElements bots can display the message
   if (err instanceof PlayerNotFoundError) {
-    return res.status(200).send(err.message);
+    return { statusCode: 200, message: t(lang, err.messageKey) };
+  }
+
+  // Handle FACEIT API errors - return 200 so @Nightbot and @StreamElements bots can display the message
+  if (err instanceof FaceitApiError) {
+    return { statusCode: 200, message: t(lang, err.messageKey) };
   }
 
   // Handle other custom errors with specific status codes
   if (err.statusCode) {
-    return res.status(err.statusCode).send(err.message);
+    const message = err.messageKey ? t(lang, err.messageKey) : err.message;
+    return { statusCode: err.statusCode, message };
   }
 
   // Handle CS2 stats not found - return 200 so @Nightbot and @StreamElements bots can display the message
   if (err.message.includes('CS2')) {
-    return res.status(200).send('Jogador não possui stats no CS2 :(');
+    return { statusCode: 200, message: t(lang, 'errors.noCS2Stats') };
   }
 
   // Determine error message based on error type
-  let message = 'Erro ao processar requisição';
+  let messageKey = 'errors.generic';
   
   if (err.message.includes('player')) {
-    message = 'Jogador não encontrado';
+    messageKey = 'errors.playerLookup';
   } else if (err.message.includes('API')) {
-    message = 'Erro ao buscar dados da FACEIT';
+    messageKey = 'errors.faceitApi';
   }
 
-  res.status(500).send(message);
+  return { statusCode: 500, message: t(lang, messageKey) };
 }
 
+/**
+ * Global error handler middleware
+ * Should be added last in the middleware chain
+ */
+export function errorHandler(err, req, res, next) {
+  console.error('Error:', err.message);
+  console.error('Stack:', err.stack);
+
+  const { lang } = getRenderOptions(req.query);
+
+  // Flag the response as an error so cacheMiddleware never caches it
+  res.locals.error = err;
+
+  const { statusCode, message } = getErrorResponse(err, lang);
+  sendError(req, res, statusCode, message);
+}
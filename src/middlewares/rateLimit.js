@@ -0,0 +1,111 @@
+/**
+ * Rate limit middleware
+ * Keeps a single client from spending the FACEIT API key: each request that
+ * reaches a route handler spends a token from three buckets, one per IP, one
+ * per client (IP and channel) and one per IP and target player. The channel
+ * comes from the request (Nightbot header or ?channel=), so only the client
+ * bucket depends on it. Added after cacheMiddleware, so cached answers are
+ * always served for free
+ * Overlay event streams are also capped per client IP
+ */
+
+import { config } from '../config/index.js';
+import { TooManyRequestsError } from './errorHandler.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { getCurrentChannel, resolvePlayerParam } from '../utils/channels.js';
+import { firstQueryValue } from '../utils/render.js';
+
+const limiter = new RateLimiter(config.rateLimit);
+
+// Open event streams by client IP
+const openStreams = new Map();
+
+/**
+ * Get the channel a request comes from: its registered channel, or the
+ * channel reported by the chat bot (Nightbot calls share a few server IPs)
+ * @param {Object} req - Express request
+ * @returns {string|null} Channel or null for direct requests
+ */
+function getRequestChannel(req) {
+  return getCurrentChannel()?.key || req.bot?.channel || null;
+}
+
+/**
+ * Check if a request skips the limits (RATE_LIMIT_ALLOWLIST holds its IP, or
+ * the channel of its /c/<channel> path; bot channels are never trusted)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request is never limited
+ */
+function isAllowlisted(req) {
+  const { enabled, allowlist } = config.rateLimit;
+  const context = getCurrentChannel();
+
+  return !enabled || allowlist.includes(req.ip) || (context?.fromPath === true && allowlist.includes(context.key));
+}
+
+/**
+ * Rate limit middleware factory
+ * Over the limit, the request is answered with a "wait a few seconds" chat
+ * message (HTTP 200, see TooManyRequestsError) and a Retry-After header
+ * @param {Object} policy - Route cache policy, or any { namespace, playerParam } (namespace selects the budget from config.rateLimit.routes)
+ * @returns {Function} Express middleware
+ */
+export function rateLimitMiddleware(policy) {
+  const { routes } = config.rateLimit;
+  const budget = routes[policy.namespace] || routes.default;
+
+  return (req, res, next) => {
+    if (isAllowlisted(req)) {
+      return next();
+    }
+
+    const ip = `${policy.namespace}:${req.ip}`;
+    const player = resolvePlayerParam(firstQueryValue(req.query[policy.playerParam])).toLowerCase();
+
+    const { allowed, retryAfter } = limiter.take([
+      { key: ip, limit: budget.ip },
+      { key: `${ip}:channel:${getRequestChannel(req) || '-'}`, limit: budget.client },
+      { key: `${ip}:player:${player}`, limit: budget.player }
+    ]);
+
+    if (!allowed) {
+      res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+      return next(new TooManyRequestsError(retryAfter));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Stream limit middleware
+ * Caps the event streams a client IP keeps open (config.rateLimit.maxStreamsPerIp),
+ * each one holds a connection and refetches data after every match
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function streamLimitMiddleware(req, res, next) {
+  if (isAllowlisted(req)) {
+    return next();
+  }
+
+  const ip = req.ip;
+  const count = openStreams.get(ip) || 0;
+
+  if (count >= config.rateLimit.maxStreamsPerIp) {
+    return next(new TooManyRequestsError());
+  }
+
+  openStreams.set(ip, count + 1);
+  res.on('close', () => {
+    const remaining = openStreams.get(ip) - 1;
+    if (remaining > 0) {
+      openStreams.set(ip, remaining);
+    } else {
+      openStreams.delete(ip);
+    }
+  });
+
+  next();
+}
@@ -0,0 +1,96 @@
+/**
+ * Compare route
+ * Returns a head-to-head of two players: ELO, level, recent stats and
+ * their record together and against each other
+ */
+
+import express from 'express';
+import { asyncHandler, UsageError } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, parseCountParam, getRenderOptions, render, sendRendered } from '../utils/render.js';
+import {
+  getPlayerData,
+  getPlayerHistory,
+  hasCS2Data,
+  calculateMatchesStats,
+  buildStatsSummary,
+  getHeadToHead,
+  formatComparison
+} from '../services/faceitService.js';
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 30;
+// Besides the player lookups, three FACEIT calls per miss whatever the window:
+// both players' match stats (bulk, see getPlayerMatchStats) and player A's history
+const MAX_LIMIT = 50;
+
+// Cache policy: one entry per pair of players, window and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'compare',
+  playerParam: 'a',
+  params: ['b', 'limit']
+};
+
+/**
+ * Get a player's stats summary over recent matches
+ * @param {Object} playerData - Player data
+ * @param {number} limit - Number of recent matches
+ * @returns {Promise<Object>} Stats summary (see buildStatsSummary)
+ */
+async function getPlayerSummary(playerData, limit) {
+  if (!hasCS2Data(playerData)) {
+    throw new Error('Dados de CS2 não encontrados para o jogador');
+  }
+
+  const calculatedStats = await calculateMatchesStats(playerData.player_id, limit);
+  return buildStatsSummary(playerData, calculatedStats);
+}
+
+/**
+ * GET /compare?a=nickname&b=nickname
+ * Returns a one-line head-to-head of two players
+ * Optional query parameter 'a' (default player if missing)
+ * Required query parameter 'b'
+ * Optional query parameter 'limit' (number of recent matches, default: 30, max: 50)
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: m9TZin vs s1mple | ELO: 2150 x 3250 | Level: 10 x 10 | K/D: 1.47 x 1.52 | HS%: 49% x 52% | Winrate: 67% x 60% | Juntos: 5W/3L | Contra: 2-1
+ */
+router.get('/',
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
+  asyncHandler(async (req, res) => {
+    const playerQueryA = firstQueryValue(req.query.a)?.trim() || null;
+    const playerQueryB = firstQueryValue(req.query.b)?.trim() || null;
+    const limit = parseCountParam(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT);
+    const renderOptions = getRenderOptions(req.query);
+
+    if (!playerQueryB) {
+      throw new UsageError('errors.missingComparePlayer');
+    }
+
+    // Get both players (player A defaults to the default player)
+    const [playerDataA, playerDataB] = await Promise.all([
+      getPlayerData(playerQueryA),
+      getPlayerData(playerQueryB)
+    ]);
+
+    const [a, b, historyData] = await Promise.all([
+      getPlayerSummary(playerDataA, limit),
+      getPlayerSummary(playerDataB, limit),
+      getPlayerHistory(playerDataA.player_id, limit)
+    ]);
+
+    const data = {
+      a,
+      b,
+      limit,
+      ...getHeadToHead(historyData.items, playerDataA.player_id, playerDataB.player_id)
+    };
+
+    sendRendered(res, render(data, formatComparison, renderOptions));
+  })
+);
+
+export default router;
@@ -2,58 +2,86 @@
  * ELO route
  * Returns the current ELO for the default player
  * Supports searching any player via query parameter
+ * Falls back to the last known good data while FACEIT is unavailable
  */
 
 import express from 'express';
-import { asyncHandler } from '../middlewares/errorHandler.js';
-import { cache } from '../utils/cache.js';
-import { config } from '../config/index.js';
+import { asyncHandler, FaceitApiError, NotFoundError } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { resolvePlayerParam, isTrackedPlayer } from '../utils/channels.js';
+import { firstQueryValue, getRenderOptions, render, sendRendered, formatDuration } from '../utils/render.js';
+import { snapshotStore } from '../storage/snapshotStore.js';
 import { 
-  getPlayerData, 
-  hasCS2Data,
-  calculateTodayStats
+  getEloData,
+  formatEloResponse,
+  formatLevelSuffix
 } from '../services/faceitService.js';
 
 const router = express.Router();
 
+/**
+ * Format the ELO response followed by level progress
+ * @param {Object} data - ELO data with level progress
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. 1950, W: 3, L: 1, +45 ELO | Faltam 51 ELO para o nível 10 (~3 vitórias) | ...)
+ */
+function formatEloWithLevel(data, lang) {
+  const suffix = formatLevelSuffix(data, lang);
+  return suffix ? `${formatEloResponse(data, lang)} | ${suffix}` : formatEloResponse(data, lang);
+}
+
+// Cache policy: one entry per player and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'elo',
+  playerParam: 'nick',
+  params: ['level']
+};
+
 /**
  * GET /elo?nick=nickname
  * Returns current CS2 ELO for default player
  * Optional query parameter 'nick' to search any player
- * Format: 3776
+ * Optional query parameter 'level' (level=1 appends level progress, see /level)
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: 3776, W: 3, L: 1, +45 ELO (or "3776, W: 3, L: 1 (dados de 5 min atrás)" during an outage)
  */
 router.get('/', 
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
   asyncHandler(async (req, res) => {
-    const playerQuery = req.query.nick?.trim() || null;
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const withLevel = ['1', 'true'].includes(firstQueryValue(req.query.level));
+    const renderOptions = getRenderOptions(req.query);
     
-    // Generate cache key based on player
-    const cacheKey = playerQuery ? `elo:${playerQuery.toLowerCase()}` : 'elo:default';
+    // Snapshots are keyed by the nickname as typed in chat (lowercase)
+    const snapshotKey = resolvePlayerParam(playerQuery).toLowerCase();
     
-    // Check cache first
-    const cachedData = cache.get(cacheKey, config.cache.ttl);
-    if (cachedData) {
-      return res.send(cachedData);
+    let data;
+    try {
+      data = await getEloData(playerQuery, withLevel);
+      // Only players the bot follows get a snapshot, any nickname can be looked up
+      if (isTrackedPlayer(snapshotKey)) {
+        snapshotStore.save(snapshotKey, data);
+      }
+    } catch (error) {
+      // FACEIT (or FLS) is down: answer with the last known good data, flagged as old
+      const snapshot = snapshotStore.get(snapshotKey);
+      if (!(error instanceof FaceitApiError) || error instanceof NotFoundError || !snapshot) {
+        throw error;
+      }
+      
+      const { takenAt, ...snapshotData } = snapshot;
+      data = {
+        ...snapshotData,
+        stale: true,
+        updatedAt: new Date(takenAt).toISOString(),
+        age: formatDuration(Date.now() - takenAt)
+      };
     }
     
-    // Get player data (uses default player if no query provided)
-    const playerData = await getPlayerData(playerQuery);
-    
-    if (!hasCS2Data(playerData)) {
-      throw new Error('Dados de CS2 não encontrados para o jogador');
-    }
-
-    const elo = playerData.games.cs2.faceit_elo;
-    
-    // Calculate today's stats (W/L)
-    const todayStats = await calculateTodayStats(playerData.player_id, elo);
-    
-    // Format response: ELO, W: X, L: Y
-    const response = `${elo}, W: ${todayStats.wins}, L: ${todayStats.losses}`;
-    
-    // Cache the response
-    cache.set(cacheKey, response);
-    
-    res.send(response);
+    // Render response (default format: ELO, W: X, L: Y)
+    sendRendered(res, render(data, withLevel ? formatEloWithLevel : formatEloResponse, renderOptions));
   })
 );
 
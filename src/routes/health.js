@@ -4,6 +4,9 @@
  */
 
 import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { cache } from '../utils/cache.js';
+import { getCircuitBreakerStatus } from '../services/faceitClient.js';
 
 const router = express.Router();
 
@@ -15,5 +18,21 @@ router.get('/', (req, res) => {
   res.status(200).send('OK');
 });
 
+/**
+ * GET /health/cache
+ * Returns cache counters (hits, misses, stale hits, coalesced fetches...)
+ */
+router.get('/cache', asyncHandler(async (req, res) => {
+  res.status(200).json(await cache.getStats());
+}));
+
+/**
+ * GET /health/upstreams
+ * Returns the circuit breaker state of every upstream host (closed, open, half-open)
+ */
+router.get('/upstreams', (req, res) => {
+  res.status(200).json(getCircuitBreakerStatus());
+});
+
 export default router;
 
@@ -0,0 +1,95 @@
+/**
+ * History route
+ * Returns the ELO change, peak and results of a player over the last days
+ * from the ELO history recorded by the bot (tracked players) or from the
+ * FACEIT match history (any other player, nothing is recorded)
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { config } from '../config/index.js';
+import { firstQueryValue, parseCountParam, getRenderOptions, render, sendRendered, formatDuration } from '../utils/render.js';
+import { historyStore } from '../storage/historyStore.js';
+import { isTrackedPlayer } from '../utils/channels.js';
+import {
+  getPlayerData,
+  getPlayerHistory,
+  hasCS2Data,
+  recordPlayerHistory,
+  summarizeMatchHistory,
+  formatHistory
+} from '../services/faceitService.js';
+
+const router = express.Router();
+
+const DEFAULT_DAYS = 7;
+// Matches looked up for players without a recorded history
+const UNTRACKED_HISTORY_LIMIT = 100;
+
+// Cache policy: one entry per player, period and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'history',
+  playerParam: 'nick',
+  params: ['days']
+};
+
+/**
+ * GET /history?nick=nickname&days=7
+ * Returns ELO change over the period, peak ELO and W/L
+ * Optional query parameter 'nick' to search any player
+ * Optional query parameter 'days' (default: 7)
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: +120 ELO (7 d): 2030 → 2150, pico: 2180, W: 15, L: 9
+ */
+router.get('/',
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
+  asyncHandler(async (req, res) => {
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const days = parseCountParam(req.query.days, DEFAULT_DAYS, config.storage.historyRetentionDays);
+    const renderOptions = getRenderOptions(req.query);
+
+    // Get player data (uses default player if no query provided)
+    const playerData = await getPlayerData(playerQuery);
+
+    if (!hasCS2Data(playerData)) {
+      throw new Error('Dados de CS2 não encontrados para o jogador');
+    }
+
+    const playerId = playerData.player_id;
+    const elo = playerData.games.cs2.faceit_elo;
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    let summary;
+
+    if (isTrackedPlayer(playerData.nickname)) {
+      // Record the current ELO and latest results before summarizing
+      const historyData = await getPlayerHistory(playerId, 30);
+      recordPlayerHistory(playerId, elo, historyData.items);
+      summary = historyStore.getSummary(playerId, since);
+    } else {
+      const historyData = await getPlayerHistory(playerId, UNTRACKED_HISTORY_LIMIT);
+      summary = await summarizeMatchHistory(playerId, elo, historyData.items, since);
+    }
+    const partial = summary.firstRecordAt >= since;
+
+    const data = {
+      nickname: playerData.nickname,
+      days,
+      elo,
+      startElo: summary.startElo,
+      eloChange: summary.eloChange,
+      peakElo: summary.peakElo,
+      wins: summary.wins,
+      losses: summary.losses,
+      partial,
+      trackedSince: new Date(summary.firstRecordAt).toISOString(),
+      age: formatDuration(Date.now() - summary.firstRecordAt)
+    };
+
+    sendRendered(res, render(data, formatHistory, renderOptions));
+  })
+);
+
+export default router;
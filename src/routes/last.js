@@ -0,0 +1,46 @@
+/**
+ * Last match route
+ * Returns a one-line scoreboard summary of the player's most recent match
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, getRenderOptions, render, sendRendered } from '../utils/render.js';
+import {
+  getLastMatchData,
+  formatLastMatch
+} from '../services/faceitService.js';
+
+const router = express.Router();
+
+// Cache policy: one entry per player and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'last',
+  playerParam: 'nick'
+};
+
+/**
+ * GET /last?nick=nickname
+ * Returns map, score, result, K/D/A, ADR, HS%, MVPs, ELO change and scoreboard rank
+ * of the default player's last match
+ * Optional query parameter 'nick' to search any player
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: Última: Mirage 13-8 (W) | K/D/A: 24/15/4 (1.60) | ADR: 85.5 | HS: 50% | MVPs: 3 | #1/10 no placar | +25 ELO
+ */
+router.get('/',
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
+  asyncHandler(async (req, res) => {
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const renderOptions = getRenderOptions(req.query);
+
+    // Get player data (uses default player if no query provided) and its last match
+    const data = await getLastMatchData(playerQuery);
+
+    sendRendered(res, render(data, formatLastMatch, renderOptions));
+  })
+);
+
+export default router;
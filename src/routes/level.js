@@ -0,0 +1,46 @@
+/**
+ * Level route
+ * Returns the player's level, ELO to the next level (and estimated wins)
+ * and ELO buffer before dropping a level
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, getRenderOptions, render, sendRendered } from '../utils/render.js';
+import {
+  getLevelData,
+  formatLevel
+} from '../services/faceitService.js';
+
+const router = express.Router();
+
+// Cache policy: one entry per player and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'level',
+  playerParam: 'nick'
+};
+
+/**
+ * GET /level?nick=nickname
+ * Returns level progress for the default player
+ * Optional query parameter 'nick' to search any player
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: Nível 9 (1950 ELO) | Faltam 51 ELO para o nível 10 (~3 vitórias) | Cai de nível com -200 ELO
+ */
+router.get('/',
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
+  asyncHandler(async (req, res) => {
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const renderOptions = getRenderOptions(req.query);
+
+    // Get player data (uses default player if no query provided) and its level progress
+    const data = await getLevelData(playerQuery);
+
+    sendRendered(res, render(data, formatLevel, renderOptions));
+  })
+);
+
+export default router;
@@ -0,0 +1,82 @@
+/**
+ * Maps route
+ * Returns games, winrate and K/D per map over the player's recent matches
+ * Supports a single map variant (?map=mirage)
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, parseCountParam, getRenderOptions, render, sendRendered } from '../utils/render.js';
+import {
+  getPlayerData,
+  hasCS2Data,
+  calculateMapStats,
+  getMapHighlights,
+  normalizeMapName,
+  formatMapName,
+  formatMapStats
+} from '../services/faceitService.js';
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+// Cache policy: one entry per player, limit, map and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'maps',
+  playerParam: 'nick',
+  params: ['limit', 'map']
+};
+
+/**
+ * GET /maps?nick=nickname&limit=30&map=mirage
+ * Returns per map stats of the default player's recent matches
+ * Optional query parameter 'nick' to search any player
+ * Optional query parameter 'limit' (default: 30, max: 100)
+ * Optional query parameter 'map' for a single map
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: Mirage: 8 (63%, K/D 1.20) | Inferno: 5 (40%, K/D 0.95) | Melhor: Mirage, Pior: Inferno
+ */
+router.get('/',
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
+  asyncHandler(async (req, res) => {
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const mapQuery = firstQueryValue(req.query.map)?.trim() || null;
+    const limit = parseCountParam(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT);
+    const renderOptions = getRenderOptions(req.query);
+
+    // Get player data (uses default player if no query provided)
+    const playerData = await getPlayerData(playerQuery);
+
+    if (!hasCS2Data(playerData)) {
+      throw new Error('Dados de CS2 não encontrados para o jogador');
+    }
+
+    const maps = await calculateMapStats(playerData.player_id, limit);
+
+    let data;
+    if (mapQuery) {
+      const mapStats = maps.find(map => normalizeMapName(map.map) === normalizeMapName(mapQuery));
+      data = {
+        nickname: playerData.nickname,
+        limit,
+        ...(mapStats || { map: formatMapName(normalizeMapName(mapQuery)), games: 0 })
+      };
+    } else {
+      data = {
+        nickname: playerData.nickname,
+        limit,
+        maps,
+        ...getMapHighlights(maps)
+      };
+    }
+
+    sendRendered(res, render(data, formatMapStats, renderOptions));
+  })
+);
+
+export default router;
@@ -0,0 +1,68 @@
+/**
+ * Match route
+ * Returns the player's live match (teams, average ELO, ELO at stake)
+ * or, when not playing, the last finished match with its score
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, getRenderOptions, render, sendRendered } from '../utils/render.js';
+import {
+  getPlayerData,
+  getPlayerHistory,
+  getLiveMatch,
+  getMatchDetails,
+  buildMatchSummary,
+  formatMatch
+} from '../services/faceitService.js';
+
+const router = express.Router();
+
+// Cache policy: one entry per player and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'match',
+  playerParam: 'nick'
+};
+
+/**
+ * GET /match?nick=nickname
+ * Returns the ongoing (or most recent) match of the default player
+ * Optional query parameter 'nick' to search any player
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: Ao vivo em Mirage: team_a (2150 ELO, nível 10) vs team_b (2080 ELO, nível 10) | Premade inimiga: 3 | Vitória: +23, Derrota: -27
+ */
+router.get('/',
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
+  asyncHandler(async (req, res) => {
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const renderOptions = getRenderOptions(req.query);
+
+    // Get player data (uses default player if no query provided)
+    const playerData = await getPlayerData(playerQuery);
+    const playerId = playerData.player_id;
+
+    // Live match first, then the last finished one
+    const liveMatch = await getLiveMatch(playerId);
+    let matchId = liveMatch?.id;
+    if (!matchId) {
+      const historyData = await getPlayerHistory(playerId, 1);
+      matchId = historyData.items[0]?.match_id;
+    }
+
+    let data = { nickname: playerData.nickname, matchId: null };
+    if (matchId) {
+      const details = await getMatchDetails(matchId);
+      data = {
+        nickname: playerData.nickname,
+        ...await buildMatchSummary(playerId, details, liveMatch)
+      };
+    }
+
+    sendRendered(res, render(data, formatMatch, renderOptions));
+  })
+);
+
+export default router;
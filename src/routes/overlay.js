@@ -0,0 +1,98 @@
+/**
+ * Overlay route
+ * HTML widget for OBS browser sources (ELO, level, today's W/L and ELO change,
+ * last 10 results) kept up to date through Server-Sent Events
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { rateLimitMiddleware, streamLimitMiddleware } from '../middlewares/rateLimit.js';
+import { cache } from '../utils/cache.js';
+import { events } from '../utils/events.js';
+import { resolvePlayerParam } from '../utils/channels.js';
+import { firstQueryValue } from '../utils/render.js';
+import { THEMES, parseAccent, renderOverlayPage } from '../views/overlay.js';
+import { getOverlayData } from '../services/faceitService.js';
+
+const router = express.Router();
+
+// Rate limit policy: one budget for the page and its event stream
+const rateLimitPolicy = {
+  namespace: 'overlay',
+  playerParam: 'nick'
+};
+
+// Comment line sent regularly so proxies do not close an idle stream
+const KEEP_ALIVE_INTERVAL = 25 * 1000;
+
+/**
+ * Get the overlay data of a player, shared by every open overlay
+ * The entry is dropped when a match of the player finishes (see invalidatePlayerCache)
+ * @param {string} nickname - Resolved player nickname (see resolvePlayerParam)
+ * @returns {Promise<Object>} Overlay data
+ */
+function getCachedOverlayData(nickname) {
+  return cache.wrap(`overlay:${nickname.toLowerCase()}:data`, () => getOverlayData(nickname));
+}
+
+/**
+ * GET /overlay?nick=nickname&theme=dark&accent=ff5500
+ * HTML page for an OBS browser source
+ * Optional query parameter 'nick' to show any player
+ * Optional query parameters 'theme' (dark, light or clear) and 'accent' (hex color)
+ */
+router.get('/', rateLimitMiddleware(rateLimitPolicy), (req, res) => {
+  const theme = firstQueryValue(req.query.theme)?.trim().toLowerCase();
+
+  res.type('html').send(renderOverlayPage({
+    theme: THEMES[theme] ? theme : 'dark',
+    accent: parseAccent(firstQueryValue(req.query.accent))
+  }));
+});
+
+/**
+ * GET /overlay/events?nick=nickname
+ * Server-Sent Events stream: an "update" event with the overlay data right
+ * away, then again every time a match of the player finishes
+ */
+router.get('/events', streamLimitMiddleware, rateLimitMiddleware(rateLimitPolicy), asyncHandler(async (req, res) => {
+  // Resolved once: refreshes run in the context of the webhook or poller
+  // that emitted the event, which has no channel or viewer
+  const nickname = resolvePlayerParam(firstQueryValue(req.query.nick)?.trim() || null);
+
+  // Load before opening the stream so an unknown player gets a normal error
+  const data = await getCachedOverlayData(nickname);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendUpdate = update => {
+    res.write(`event: update\ndata: ${JSON.stringify(update)}\n\n`);
+  };
+
+  const onMatchFinished = event => {
+    if (event.playerId !== data.playerId) return;
+
+    getCachedOverlayData(nickname)
+      .then(sendUpdate)
+      .catch(error => {
+        console.error('Failed to refresh overlay:', error.message);
+      });
+  };
+
+  sendUpdate(data);
+  events.on('match:finished', onMatchFinished);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    events.off('match:finished', onMatchFinished);
+  });
+}));
+
+export default router;
@@ -0,0 +1,46 @@
+/**
+ * Rank route
+ * Returns the player's position in the CS2 ranking of their region and country
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, getRenderOptions, render, sendRendered } from '../utils/render.js';
+import {
+  getRankData,
+  formatRank
+} from '../services/faceitService.js';
+
+const router = express.Router();
+
+// Cache policy: one entry per player and output options (format, tpl, lang)
+// TTL comes from config (rankings change slowly)
+const cachePolicy = {
+  namespace: 'rank',
+  playerParam: 'nick'
+};
+
+/**
+ * GET /rank?nick=nickname
+ * Returns regional and country ranking positions of the default player
+ * Optional query parameter 'nick' to search any player
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
+ * Format: #1234 EU, #56 BR
+ */
+router.get('/',
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
+  asyncHandler(async (req, res) => {
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const renderOptions = getRenderOptions(req.query);
+
+    // Get player data (uses default player if no query provided) and its ranking positions
+    const data = await getRankData(playerQuery);
+
+    sendRendered(res, render(data, formatRank, renderOptions));
+  })
+);
+
+export default router;
@@ -1,60 +1,53 @@
 /**
  * Stats route
- * Returns comprehensive player statistics based on last 30 matches
+ * Returns comprehensive player statistics based on recent matches (30 by default)
  * Supports searching any player via query parameter
  */
 
 import express from 'express';
 import { asyncHandler } from '../middlewares/errorHandler.js';
-import { cache } from '../utils/cache.js';
-import { config } from '../config/index.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, parseCountParam, getRenderOptions, render, sendRendered } from '../utils/render.js';
 import { 
-  getPlayerData, 
-  hasCS2Data,
-  calculateLast30MatchesStats,
-  formatStatsFromLast30 
+  getStatsData,
+  parseStatsFields,
+  formatStats 
 } from '../services/faceitService.js';
 
 const router = express.Router();
 
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+// Cache policy: one entry per player, window, fields and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'stats',
+  playerParam: 'player',
+  params: ['limit', 'fields']
+};
+
 /**
- * GET /stats?player=nickname
+ * GET /stats?player=nickname&limit=30&fields=kd,adr
  * Returns comprehensive player statistics
  * Optional query parameter 'player' to search any player
+ * Optional query parameter 'limit' (number of recent matches, default: 30, max: 100)
+ * Optional query parameter 'fields' (avgKills, kd, kr, adr, hsPercent, winrate, mvps, multiKills, clutches)
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
  */
 router.get('/', 
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
   asyncHandler(async (req, res) => {
-    const playerQuery = req.query.player?.trim() || null;
-    
-    // Generate cache key based on player
-    const cacheKey = playerQuery ? `stats:${playerQuery.toLowerCase()}` : 'stats:default';
-    
-    // Check cache first
-    const cachedData = cache.get(cacheKey, config.cache.ttl);
-    
-    if (cachedData) {
-      return res.send(cachedData);
-    }
-    
-    // Get player data
-    const playerData = await getPlayerData(playerQuery);
-    
-    if (!hasCS2Data(playerData)) {
-      throw new Error('Dados de CS2 não encontrados para o jogador');
-    }
-
-    // Calculate statistics from last 30 matches
-    const calculatedStats = await calculateLast30MatchesStats(playerData.player_id);
-    
-    // Format and send response
-    const formattedStats = formatStatsFromLast30(playerData, calculatedStats);
-    
-    // Cache the response
-    cache.set(cacheKey, formattedStats);
-    
-    res.send(formattedStats);
+    const playerQuery = firstQueryValue(req.query.player)?.trim() || null;
+    const limit = parseCountParam(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT);
+    const fields = parseStatsFields(firstQueryValue(req.query.fields));
+    const renderOptions = getRenderOptions(req.query);
+    
+    // Get player data and calculate statistics from recent matches
+    const summary = await getStatsData(playerQuery, limit, fields);
+    sendRendered(res, render(summary, formatStats, renderOptions));
   })
 );
 
 export default router;
-
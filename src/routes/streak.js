@@ -6,48 +6,38 @@
 
 import express from 'express';
 import { asyncHandler } from '../middlewares/errorHandler.js';
-import { cache } from '../utils/cache.js';
-import { config } from '../config/index.js';
+import { cacheMiddleware } from '../middlewares/cache.js';
+import { rateLimitMiddleware } from '../middlewares/rateLimit.js';
+import { firstQueryValue, getRenderOptions, render, sendRendered } from '../utils/render.js';
 import { 
-  getPlayerData, 
-  getPlayerHistory,
-  processMatchStreak 
+  getStreakData,
+  formatStreak
 } from '../services/faceitService.js';
 
 const router = express.Router();
 
+// Cache policy: one entry per player and output options (format, tpl, lang)
+const cachePolicy = {
+  namespace: 'streak',
+  playerParam: 'nick'
+};
+
 /**
  * GET /streak?nick=nickname
  * Returns last 10 match results (W = Win, L = Loss) for default player
  * Optional query parameter 'nick' to search any player
+ * Optional query parameters 'format' (text|json) and 'tpl' (template)
  */
 router.get('/', 
+  cacheMiddleware(cachePolicy),
+  rateLimitMiddleware(cachePolicy),
   asyncHandler(async (req, res) => {
-    const playerQuery = req.query.nick?.trim() || null;
-    
-    // Generate cache key based on player
-    const cacheKey = playerQuery ? `streak:${playerQuery.toLowerCase()}` : 'streak:default';
-    
-    // Check cache first
-    const cachedData = cache.get(cacheKey, config.cache.ttl);
-    if (cachedData) {
-      return res.send(cachedData);
-    }
-    
-    // Get player data (uses default player if no query provided)
-    const playerData = await getPlayerData(playerQuery);
-    const playerId = playerData.player_id;
-
-    // Get match history
-    const historyData = await getPlayerHistory(playerId, 10);
-    
-    // Process and format streak
-    const streak = processMatchStreak(historyData.items, playerId);
-    
-    // Cache the response
-    cache.set(cacheKey, streak);
+    const playerQuery = firstQueryValue(req.query.nick)?.trim() || null;
+    const renderOptions = getRenderOptions(req.query);
     
-    res.send(streak);
+    // Get player data and its last 10 results
+    const data = await getStreakData(playerQuery);
+    sendRendered(res, render(data, formatStreak, renderOptions));
   })
 );
 
@@ -0,0 +1,51 @@
+/**
+ * Webhooks route
+ * Receives FACEIT match events (match ready, match finished) so tracked
+ * players are refreshed and announced without waiting for a chat command
+ */
+
+import crypto from 'node:crypto';
+import express from 'express';
+import { config } from '../config/index.js';
+import { withDeadline } from '../utils/deadline.js';
+import { handleFaceitEvent } from '../services/matchEvents.js';
+
+const router = express.Router();
+
+/**
+ * Check the security header configured in the FACEIT app
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the secret matches
+ */
+function isAuthorized(req) {
+  const expected = Buffer.from(config.webhooks.faceitSecret);
+  const received = Buffer.from(req.get(config.webhooks.faceitHeader) || '');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * POST /webhooks/faceit
+ * FACEIT webhook subscription (events match_status_ready and match_status_finished)
+ * Answers right away and processes the event in the background
+ * (redelivered events are ignored, see processMatchEvent)
+ */
+router.post('/faceit', (req, res) => {
+  if (!config.webhooks.faceitSecret) {
+    return res.status(404).json({ error: 'FACEIT webhook not configured' });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  res.json({ status: 'accepted' });
+
+  // Own time budget: the request's deadline ends with the response
+  withDeadline(config.webhooks.deadline, () => handleFaceitEvent(req.body))
+    .catch(error => {
+      console.error('Failed to handle FACEIT webhook:', error.message);
+    });
+});
+
+export default router;
@@ -0,0 +1,76 @@
+/**
+ * Announcer service
+ * Forwards match events from the event bus to outbound webhooks
+ * (a Discord channel or a relay that posts in Twitch chat)
+ */
+
+import { config } from '../config/index.js';
+import { events } from '../utils/events.js';
+import { getPlayerChannels } from '../utils/channels.js';
+import { httpRequest } from './faceitClient.js';
+import { formatMatchReady, formatMatchFinished } from './faceitService.js';
+
+// Announced events and their chat formatter
+const FORMATTERS = {
+  'match:ready': formatMatchReady,
+  'match:finished': formatMatchFinished
+};
+
+/**
+ * Get the webhooks that announce a player's matches
+ * Channels of the player with a "webhook" setting, plus OUTBOUND_WEBHOOK_URL
+ * @param {string} nickname - Player nickname
+ * @returns {Array<Object>} Targets: [{ url, lang, channel }]
+ */
+function getTargets(nickname) {
+  const targets = getPlayerChannels(nickname)
+    .filter(({ channel }) => channel.webhook)
+    .map(({ key, channel }) => ({ url: channel.webhook, lang: channel.lang, channel: key }));
+
+  if (config.webhooks.outboundUrl) {
+    targets.push({ url: config.webhooks.outboundUrl, lang: undefined, channel: null });
+  }
+
+  return targets;
+}
+
+/**
+ * Post a JSON body to a webhook (one retry: a timed out post may have gone through)
+ * @param {string} url - Webhook URL
+ * @param {Object} body - JSON body
+ */
+async function postWebhook(url, body) {
+  await httpRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    retries: 1
+  });
+}
+
+/**
+ * Announce an event on every webhook of the player, logging failures
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+async function announce(event, data) {
+  await Promise.all(getTargets(data.nickname).map(async ({ url, lang, channel }) => {
+    try {
+      // Discord reads "content"; relays also get the raw event
+      await postWebhook(url, { content: FORMATTERS[event](data, lang), event, channel, data });
+    } catch (error) {
+      console.error(`Outbound webhook failed for ${event}:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Start announcing match events
+ */
+export function startAnnouncer() {
+  for (const event of Object.keys(FORMATTERS)) {
+    events.on(event, data => {
+      announce(event, data);
+    });
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * FACEIT API client
+ * HTTP layer shared by every upstream call: typed errors, retries with
+ * jittered backoff (honoring Retry-After), a global concurrency limit,
+ * a circuit breaker per upstream host and the per-request deadline budget
+ */
+
+import fetch from 'node-fetch';
+import { config } from '../config/index.js';
+import { ConcurrencyLimiter } from '../utils/limiter.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { getRemainingTime } from '../utils/deadline.js';
+import {
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  TimeoutError,
+  CircuitOpenError
+} from '../middlewares/errorHandler.js';
+
+// Shared by every upstream call so a burst of /stats requests cannot flood the API
+const limiter = new ConcurrencyLimiter(config.faceit.maxConcurrent);
+
+// Circuit breakers by upstream host (open.faceit.com, fls-api.vercel.app...)
+const breakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for a URL's host
+ * @param {string} url - Full URL
+ * @returns {CircuitBreaker} Circuit breaker for the host
+ */
+function getCircuitBreaker(url) {
+  const { host } = new URL(url);
+
+  if (!breakers.has(host)) {
+    breakers.set(host, new CircuitBreaker(config.faceit.circuitBreaker));
+  }
+
+  return breakers.get(host);
+}
+
+/**
+ * Get the circuit breaker status of every upstream host called so far
+ * @returns {Object} Status by host
+ */
+export function getCircuitBreakerStatus() {
+  return Object.fromEntries(
+    [...breakers].map(([host, breaker]) => [host, breaker.getStatus()])
+  );
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds or null if missing/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const { retryBaseDelay, retryMaxDelay } = config.faceit;
+  return Math.random() * Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+}
+
+/**
+ * Build the error thrown when the request deadline runs out
+ * Flagged so it does not count as a failure of the upstream host
+ * @param {string} url - Full URL
+ * @returns {TimeoutError} Timeout error
+ */
+function deadlineExceeded(url) {
+  const error = new TimeoutError(`Request deadline exceeded for ${url}`);
+  error.deadlineExceeded = true;
+  return error;
+}
+
+/**
+ * Check if a failed attempt is worth retrying
+ * @param {Error} error - Typed error from a single attempt
+ * @returns {boolean} True for rate limits, timeouts and 5xx/network errors
+ */
+function isRetryable(error) {
+  return error instanceof RateLimitedError
+    || error instanceof TimeoutError
+    || error instanceof UpstreamError;
+}
+
+/**
+ * Perform a single HTTP request and map failures to typed errors
+ * @param {string} url - Full URL
+ * @param {Object} request - Request options: { method, headers, body }
+ * @param {number} timeoutMs - Timeout for this attempt
+ * @returns {Promise<Object|null>} Parsed JSON response (null for an empty body)
+ */
+async function attemptRequest(url, { method, headers, body }, timeoutMs) {
+  // Create AbortController for timeout
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { method, headers, body, signal: controller.signal });
+
+    if (response.status === 404) {
+      throw new NotFoundError(`API returned status 404 for ${url}`);
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      throw new RateLimitedError(`API returned status 429 for ${url}`, retryAfter);
+    }
+
+    if (!response.ok) {
+      throw new UpstreamError(`API returned status ${response.status} for ${url}`, response.status);
+    }
+
+    // Webhooks (e.g. Discord) answer 204 No Content
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    // Handle timeout errors
+    if (error.name === 'AbortError') {
+      throw new TimeoutError(`API timeout after ${timeoutMs}ms for ${url}`);
+    }
+
+    if (error instanceof NotFoundError || isRetryable(error)) {
+      throw error;
+    }
+
+    // Network failures and invalid JSON
+    throw new UpstreamError(`API request failed for ${url}: ${error.message}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Make an HTTP request with retries inside the current deadline budget
+ * @param {string} url - Full URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - HTTP method (default: GET)
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.body] - Request body
+ * @param {number} [options.timeoutMs] - Timeout per attempt (default: config.faceit.requestTimeout)
+ * @param {number} [options.retries] - Maximum retries (default: config.faceit.maxRetries)
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function httpRequest(url, {
+  method = 'GET',
+  headers = {},
+  body,
+  timeoutMs = config.faceit.requestTimeout,
+  retries = config.faceit.maxRetries
+} = {}) {
+  const breaker = getCircuitBreaker(url);
+
+  for (let attempt = 0; ; attempt++) {
+    if (getRemainingTime() <= 0) {
+      throw deadlineExceeded(url);
+    }
+
+    // Fail fast while the host is known to be down
+    if (!breaker.canRequest()) {
+      throw new CircuitOpenError(new URL(url).host);
+    }
+
+    try {
+      const data = await limiter.run(() => {
+        // Time spent waiting for a slot also counts against the deadline
+        const budget = Math.min(timeoutMs, getRemainingTime());
+        if (budget <= 0) {
+          throw deadlineExceeded(url);
+        }
+        return attemptRequest(url, { method, headers, body }, budget);
+      });
+
+      breaker.recordSuccess();
+      return data;
+    } catch (error) {
+      // A 404 means the host is up; rate limits and deadlines say nothing about its health
+      if (error instanceof NotFoundError) {
+        breaker.recordSuccess();
+      } else if ((error instanceof UpstreamError || error instanceof TimeoutError) && !error.deadlineExceeded) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordNeutral();
+      }
+
+      if (!isRetryable(error) || attempt >= retries) {
+        throw error;
+      }
+
+      const delay = error.retryAfter ?? getBackoffDelay(attempt);
+
+      // Give up right away if waiting would blow the deadline
+      if (delay >= getRemainingTime()) {
+        throw error;
+      }
+
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Make authenticated request to FACEIT Data API
+ * @param {string} endpoint - API endpoint (e.g. /players?nickname=...)
+ * @param {Object} [options] - Request options (see httpRequest)
+ * @returns {Promise<Object>} API response
+ */
+export async function faceitRequest(endpoint, options = {}) {
+  return httpRequest(`${config.faceit.baseUrl}${endpoint}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${config.faceit.apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+}
@@ -3,102 +3,23 @@
  * Handles all interactions with the FACEIT API
  */
 
-import fetch from 'node-fetch';
-import { config } from '../config/index.js';
-import { PlayerNotFoundError } from '../middlewares/errorHandler.js';
+import { NotFoundError } from '../middlewares/errorHandler.js';
+import { faceitRequest, httpRequest } from './faceitClient.js';
+import { resolvePlayer } from './playerResolver.js';
+import { sessionEloCache } from '../utils/cache.js';
+import { getSessionSettings, getSessionStart } from '../utils/session.js';
+import { historyStore } from '../storage/historyStore.js';
+import { isTrackedPlayer } from '../utils/channels.js';
+import { getLevelProgress } from '../utils/levels.js';
+import { t } from '../i18n/index.js';
 
 /**
- * Normalize player nickname (trim whitespace only)
- * @param {string} nickname - Player nickname
- * @returns {string} Normalized nickname
- */
-function normalizeNickname(nickname) {
-  return (nickname || config.faceit.defaultPlayer).trim();
-}
-
-/**
- * Make authenticated request to FACEIT API with timeout
- * @param {string} endpoint - API endpoint
- * @param {number} timeoutMs - Request timeout in milliseconds (default: 4000ms)
- * @returns {Promise<Object>} API response
- */
-async function faceitRequest(endpoint, timeoutMs = 4000) {
-  const url = `${config.faceit.baseUrl}${endpoint}`;
-  
-  // Create AbortController for timeout
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${config.faceit.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`FACEIT API returned status ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    clearTimeout(timeoutId);
-    
-    // Handle timeout errors
-    if (error.name === 'AbortError') {
-      throw new Error('FACEIT API timeout');
-    }
-    
-    throw error;
-  }
-}
-
-/**
- * Get player data by nickname with case-insensitive fallback
- * Tries multiple variations in parallel for faster response
- * @param {string} [nickname] - Player nickname (optional, uses default if not provided)
+ * Get player data by nickname (any case), player ID, Steam ID64 or FACEIT profile URL
+ * @param {string} [nickname] - Player reference (optional, uses default if not provided)
  * @returns {Promise<Object>} Player data
  */
 export async function getPlayerData(nickname) {
-  const playerNick = normalizeNickname(nickname);
-  
-  // Try variations: original, lowercase, uppercase, capitalize
-  const variations = [
-    playerNick,
-    playerNick.toLowerCase(),
-    playerNick.toUpperCase(),
-    playerNick.charAt(0).toUpperCase() + playerNick.slice(1).toLowerCase()
-  ];
-  
-  // Remove duplicates
-  const uniqueVariations = [...new Set(variations)];
-  
-  // Try all variations in parallel (faster response, respects Nightbot 5s timeout)
-  const requests = uniqueVariations.map(async (variation) => {
-    try {
-      const encodedNickname = encodeURIComponent(variation);
-      const data = await faceitRequest(`/players?nickname=${encodedNickname}`);
-      return { success: true, data };
-    } catch (error) {
-      return { success: false, error };
-    }
-  });
-  
-  // Wait for all requests to complete
-  const results = await Promise.all(requests);
-  
-  // Return first successful result
-  const successResult = results.find(r => r.success);
-  if (successResult) {
-    return successResult.data;
-  }
-  
-  // If all variations failed, throw player not found error
-  throw new PlayerNotFoundError();
+  return resolvePlayer(nickname);
 }
 
 /**
@@ -111,49 +32,136 @@ export async function getPlayerStats(playerId) {
     return await faceitRequest(`/players/${playerId}/stats/cs2`);
   } catch (error) {
     // If stats not found, it means player has no CS2 data
-    if (error.message.includes('404')) {
+    if (error instanceof NotFoundError) {
       throw new Error('Jogador não possui dados de CS2');
     }
     throw error;
   }
 }
 
+// FACEIT returns at most 100 items per request (match history, match stats)
+const PAGE_SIZE = 100;
+
+/**
+ * Get the items of a paged FACEIT endpoint, page by page
+ * @param {string} endpoint - Endpoint with its query string (offset and limit are added)
+ * @param {number} limit - Number of items to retrieve
+ * @returns {Promise<Array>} Items, at most limit
+ */
+async function getPagedItems(endpoint, limit) {
+  const items = [];
+
+  while (items.length < limit) {
+    const pageSize = Math.min(PAGE_SIZE, limit - items.length);
+    const response = await faceitRequest(`${endpoint}&offset=${items.length}&limit=${pageSize}`);
+    const page = response.items || [];
+    items.push(...page);
+
+    // A short page means there are no older matches
+    if (page.length < pageSize) break;
+  }
+
+  return items;
+}
+
 /**
  * Get player match history
+ * Windows larger than one page are fetched page by page
  * @param {string} playerId - Player ID
  * @param {number} [limit=30] - Number of matches to retrieve
  * @returns {Promise<Object>} Match history with all items
  */
 export async function getPlayerHistory(playerId, limit = 30) {
-  const response = await faceitRequest(`/players/${playerId}/history?game=cs2&offset=0&limit=${limit}`);
-  return { items: response.items || [] };
+  return { items: await getPagedItems(`/players/${playerId}/history?game=cs2`, limit) };
 }
 
 /**
- * Get match statistics by match ID
- * @param {string} matchId - Match ID
- * @returns {Promise<Object|null>} Match statistics or null if error
+ * Get a player's stats in their recent CS2 matches, most recent first
+ * One FACEIT call per 100 matches (instead of /matches/{id}/stats for each one),
+ * so 100-match windows fit in the request deadline
+ * @param {string} playerId - Player ID
+ * @param {number} [limit=30] - Number of matches to retrieve
+ * @returns {Promise<Array>} Player stats per match (see readPlayerStats), with matchId, map and isWin
  */
-async function getMatchStats(matchId) {
+export async function getPlayerMatchStats(playerId, limit = 30) {
+  const items = await getPagedItems(`/players/${playerId}/games/cs2/stats?`, limit);
+
+  return items
+    .filter(item => item.stats)
+    .map(({ stats }) => ({
+      matchId: stats['Match Id'] || null,
+      map: stats['Map'] || null,
+      isWin: stats['Result'] === '1',
+      rounds: countRounds(stats),
+      ...readPlayerStats(stats)
+    }));
+}
+
+/**
+ * Get a player's position in the CS2 ranking of their region (optionally filtered by country)
+ * @param {string} playerId - Player ID
+ * @param {string} region - Region (e.g. EU, SA)
+ * @param {string} [country] - Country code (e.g. br)
+ * @returns {Promise<number|null>} Position or null if the player is not ranked
+ */
+export async function getPlayerRankingPosition(playerId, region, country) {
+  const query = country ? `?country=${encodeURIComponent(country)}&limit=1` : '?limit=1';
+
   try {
-    return await faceitRequest(`/matches/${matchId}/stats`, 6000);
+    const response = await faceitRequest(
+      `/rankings/games/cs2/regions/${encodeURIComponent(region)}/players/${playerId}${query}`
+    );
+    return response.position ?? null;
   } catch (error) {
-    // Return null if match stats not available
-    return null;
+    if (error instanceof NotFoundError) return null;
+    throw error;
   }
 }
 
 /**
- * Get match details by match ID
+ * Get match details by match ID (teams, map, score and status, also for ongoing matches)
  * @param {string} matchId - Match ID
- * @returns {Promise<Object|null>} Match details or null if error
+ * @returns {Promise<Object>} Match details
  */
-async function getMatchDetails(matchId) {
+export async function getMatchDetails(matchId) {
+  return faceitRequest(`/matches/${matchId}`, { timeoutMs: 6000 });
+}
+
+/**
+ * Get player data by player ID
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object>} Player data
+ */
+export async function getPlayerById(playerId) {
+  return faceitRequest(`/players/${playerId}`);
+}
+
+/**
+ * Find the match a player is currently in (optional enrichment)
+ * Uses FACEIT's web match API, which is not part of the Data API
+ * but also exposes each player's ELO and party
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object|null>} Live match or null if none/unavailable
+ */
+export async function getLiveMatch(playerId) {
+  const url = `https://www.faceit.com/api/match/v1/matches/groupByState?userId=${encodeURIComponent(playerId)}`;
+
+  let data;
   try {
-    return await faceitRequest(`/matches/${matchId}`, 6000);
+    data = await httpRequest(url, { retries: 0 });
   } catch (error) {
+    console.error('FACEIT match API unavailable:', error.message);
     return null;
   }
+
+  const states = data?.payload || {};
+  for (const state of ['ONGOING', 'READY', 'CONFIGURING', 'VOTING']) {
+    if (Array.isArray(states[state]) && states[state].length > 0) {
+      return states[state][0];
+    }
+  }
+
+  return null;
 }
 
 /**
@@ -186,177 +194,538 @@ function mapExternalMatchStatsToLocal(stats) {
  * This provides ELO and ELO delta per match, matching the HUD logic
  * @param {string} playerId - Player ID
  * @returns {Promise<Array>} Array of normalized match stats
+ * @throws {FaceitApiError} When the FLS API is unavailable
  */
 async function getExtendedMatchStats(playerId) {
   const url = `https://fls-api.vercel.app/api/matches?id=${encodeURIComponent(playerId)}`;
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 6000);
+  const data = await httpRequest(url, { timeoutMs: 6000, retries: 1 });
 
-  try {
-    const response = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeoutId);
+  if (!Array.isArray(data)) {
+    return [];
+  }
 
-    if (!response.ok) {
-      throw new Error(`FLS matches API returned status ${response.status}`);
-    }
+  return data.map(mapExternalMatchStatsToLocal);
+}
 
-    const data = await response.json();
-    if (!Array.isArray(data)) {
-      return [];
-    }
+/**
+ * Find which faction a player was on in a history match
+ * @param {Object} match - Match from player history
+ * @param {string} playerId - Player ID
+ * @returns {string|null} 'faction1', 'faction2' or null if not found
+ */
+function getPlayerFaction(match, playerId) {
+  if (match.teams.faction1.players.some(p => p.player_id === playerId)) {
+    return 'faction1';
+  }
+  if (match.teams.faction2.players.some(p => p.player_id === playerId)) {
+    return 'faction2';
+  }
+  return null;
+}
 
-    return data.map(mapExternalMatchStatsToLocal);
+/**
+ * Check if a player won a history match
+ * @param {Object} match - Match from player history
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True if the player's team won
+ */
+function isMatchWin(match, playerId) {
+  return match.results.winner === getPlayerFaction(match, playerId);
+}
+
+/**
+ * Get the ELO change of each match from the FLS API (optional enrichment)
+ * @param {string} playerId - Player ID
+ * @param {Array} matches - Matches from player history
+ * @returns {Promise<Array<number>|null>} ELO change per match (same order) or null if FLS is unavailable/incomplete
+ */
+async function getEloDeltasFromFls(playerId, matches) {
+  let extendedStats;
+  try {
+    extendedStats = await getExtendedMatchStats(playerId);
   } catch (error) {
-    clearTimeout(timeoutId);
-    // If the external API fails, fall back gracefully
-    // by returning an empty array (no stats for today)
-    return [];
+    console.error('FLS matches API unavailable:', error.message);
+    return null;
+  }
+
+  const deltaByMatch = new Map(extendedStats.map(stats => [stats.matchId, stats.elo_delta]));
+  const deltas = matches.map(match => deltaByMatch.get(match.match_id));
+
+  // Every match needs a known delta, otherwise sums are wrong
+  if (deltas.some(delta => delta === undefined || Number.isNaN(delta))) {
+    return null;
   }
+
+  return deltas;
 }
 
 /**
- * Get today's starting point timestamp (like fls-web HUD)
- * The "day" starts at 07:00 local time; matches before that
- * are considered part of the previous day/session.
- * @returns {number} Timestamp in milliseconds
+ * Sum today's ELO change from the FLS API (optional enrichment)
+ * @param {string} playerId - Player ID
+ * @param {Array} todayMatches - Today's matches from player history
+ * @returns {Promise<number|null>} ELO change or null if FLS is unavailable/incomplete
  */
-function getTodayStartingPointDate() {
-  const STARTING_POINT_HOUR = 7;
-  const now = new Date();
+async function getTodayEloDeltaFromFls(playerId, todayMatches) {
+  const deltas = await getEloDeltasFromFls(playerId, todayMatches);
+  return deltas === null ? null : deltas.reduce((sum, delta) => sum + delta, 0);
+}
 
-  if (now.getHours() < STARTING_POINT_HOUR) {
-    now.setDate(now.getDate() - 1);
+/**
+ * Find the exact ELO at the start of today's session
+ * 1. No match played yet: current ELO
+ * 2. ELO seen by the bot between the last match before the session and the first one in it
+ *    (shared cache first, then the ELO history on disk)
+ * 3. Current ELO minus today's ELO change from the FLS API
+ * @param {string} playerId - Player ID
+ * @param {number} currentElo - Current ELO
+ * @param {Array} todayMatches - Today's matches from player history (most recent first)
+ * @param {Object|undefined} previousMatch - Last match before the session, if in the history window
+ * @returns {Promise<number|null>} Session starting ELO or null if unknown
+ */
+async function findSessionStartElo(playerId, currentElo, todayMatches, previousMatch) {
+  if (todayMatches.length === 0) {
+    return currentElo;
   }
 
-  now.setHours(STARTING_POINT_HOUR, 0, 0, 0);
-  return now.getTime();
+  const firstMatchStart = todayMatches[todayMatches.length - 1].started_at * 1000;
+  const lastSeen = await sessionEloCache.getLastSeenElo(playerId);
+  if (lastSeen && previousMatch
+    && lastSeen.seenAt > previousMatch.finished_at * 1000
+    && lastSeen.seenAt < firstMatchStart) {
+    return lastSeen.elo;
+  }
+
+  if (previousMatch) {
+    const recorded = historyStore.getEloBetween(playerId, previousMatch.finished_at * 1000, firstMatchStart);
+    if (recorded) {
+      return recorded.elo;
+    }
+  }
+
+  const flsDelta = await getTodayEloDeltaFromFls(playerId, todayMatches);
+  return flsDelta === null ? null : currentElo - flsDelta;
 }
 
 /**
- * Calculate today's W/L using the same logic as fls-web HUD
- * - Uses FLS matches API to get per-match stats
- * - Defines "today" as starting at 07:00 local time
+ * Record a player's current ELO and recent results in the ELO history
+ * Only for tracked players (see isTrackedPlayer), callers check it
  * @param {string} playerId - Player ID
  * @param {number} currentElo - Current ELO
- * @returns {Promise<Object>} Stats: wins, losses
+ * @param {Array} matches - Matches from player history
  */
-export async function calculateTodayStats(playerId, currentElo) {
-  // Get extended match stats (includes elo & elo_delta)
-  const matches = await getExtendedMatchStats(playerId);
+export function recordPlayerHistory(playerId, currentElo, matches) {
+  historyStore.recordElo(playerId, currentElo);
+  historyStore.recordMatches(playerId, matches.map(match => ({
+    matchId: match.match_id,
+    win: isMatchWin(match, playerId),
+    finishedAt: match.finished_at * 1000
+  })));
+}
 
-  if (!matches || matches.length === 0) {
-    return {
-      wins: 0,
-      losses: 0
-    };
+/**
+ * Find where the ELO known from a match history starts
+ * @param {Array} matches - Matches from player history (most recent first)
+ * @param {Array} inPeriod - The matches of the period
+ * @returns {number} End of the last match before the period (like historyStore's
+ * baseline), or the start of the oldest match if the history does not reach back that far
+ */
+function getHistoryCoverageStart(matches, inPeriod) {
+  const baseline = matches[inPeriod.length];
+  if (baseline) {
+    return baseline.finished_at * 1000;
+  }
+
+  return inPeriod.length > 0 ? inPeriod.at(-1).started_at * 1000 : Date.now();
+}
+
+/**
+ * Summarize a period from the match history alone, without recording anything
+ * (players the bot does not track): W/L from the history, ELO change and peak
+ * from the FLS API's per-match deltas
+ * @param {string} playerId - Player ID
+ * @param {number} currentElo - Current ELO
+ * @param {Array} matches - Matches from player history (most recent first)
+ * @param {number} since - Period start timestamp
+ * @returns {Promise<Object>} Same fields as historyStore.getSummary (startElo,
+ * eloChange and peakElo are null when FLS is unavailable or misses a match)
+ */
+export async function summarizeMatchHistory(playerId, currentElo, matches, since) {
+  const inPeriod = matches.filter(match => match.finished_at * 1000 >= since);
+  const wins = inPeriod.filter(match => isMatchWin(match, playerId)).length;
+  const deltas = await getEloDeltasFromFls(playerId, inPeriod);
+  const results = { wins, losses: inPeriod.length - wins, firstRecordAt: getHistoryCoverageStart(matches, inPeriod) };
+
+  // Unknown rather than a made-up +0
+  if (deltas === null) {
+    return { startElo: null, endElo: currentElo, eloChange: null, peakElo: null, ...results };
   }
 
-  // Filter matches that belong to "today" (using 07:00 boundary)
-  const startingPoint = getTodayStartingPointDate();
-  const todayMatches = matches.filter(match => match.date > startingPoint);
+  // Walk from the oldest match to rebuild the ELO after each one
+  const eloChange = deltas.reduce((sum, delta) => sum + delta, 0);
+  const startElo = currentElo - eloChange;
+  let elo = startElo;
+  let peakElo = startElo;
+  for (const delta of [...deltas].reverse()) {
+    elo += delta;
+    peakElo = Math.max(peakElo, elo);
+  }
+
+  return { startElo, endElo: currentElo, eloChange, peakElo, ...results };
+}
+
+/**
+ * Calculate today's W/L and ELO change
+ * - W/L come from the official match history
+ * - "Today" is the player's current session (see utils/session.js): by default
+ *   the day starts at 07:00 in the player's timezone, or a session can end
+ *   after a few hours without matches
+ * - ELO change is measured against the ELO at the start of the session,
+ *   found from the bot's own ELO snapshots or (optionally) the FLS API
+ * @param {string} playerId - Player ID
+ * @param {number} currentElo - Current ELO
+ * @param {string} [nickname] - Player nickname (selects per player session settings)
+ * @returns {Promise<Object>} Stats: wins, losses, eloDelta (null if unknown)
+ */
+export async function calculateTodayStats(playerId, currentElo, nickname) {
+  const historyData = await getPlayerHistory(playerId, 30);
+  const startingPoint = getSessionStart(getSessionSettings(nickname), historyData.items);
+
+  // Filter matches that belong to the current session
+  const todayMatches = historyData.items.filter(match => match.finished_at * 1000 > startingPoint);
+  const previousMatch = historyData.items[todayMatches.length];
 
   // Compute W/L from today's matches
-  let wins = 0;
-  let losses = 0;
-  for (const match of todayMatches) {
-    if (match.isWin) {
-      wins += 1;
-    } else {
-      losses += 1;
+  const wins = todayMatches.filter(match => isMatchWin(match, playerId)).length;
+  const losses = todayMatches.length - wins;
+
+  // Session baseline: reuse it, or find it (again, if it was only an estimate)
+  let session = await sessionEloCache.getSession(playerId, startingPoint);
+  if (!session || !session.exact) {
+    const startElo = await findSessionStartElo(playerId, currentElo, todayMatches, previousMatch);
+
+    if (startElo !== null) {
+      await sessionEloCache.setSession(playerId, startingPoint, startElo, true);
+      session = { initialElo: startElo, exact: true };
+    } else if (!session) {
+      // Unknown for now: count from the first ELO seen today
+      await sessionEloCache.setSession(playerId, startingPoint, currentElo, false);
+      session = { initialElo: currentElo, exact: false };
     }
   }
 
+  await sessionEloCache.recordElo(playerId, currentElo);
+
+  // Any nickname can be looked up: only players the bot follows go to disk
+  if (nickname && isTrackedPlayer(nickname)) {
+    recordPlayerHistory(playerId, currentElo, historyData.items);
+  }
+
   return {
     wins,
-    losses
+    losses,
+    eloDelta: session.exact ? currentElo - session.initialElo : null
   };
 }
 
 /**
- * Calculate statistics from last 30 matches
+ * Count the rounds of a match, from the round count or the final score ("13 / 8")
+ * @param {Object} stats - Round stats of a match, or a player's stats in it
+ * @returns {number} Rounds played
+ */
+function countRounds(stats) {
+  return parseInt(stats.Rounds || 0)
+    || (stats.Score || '').split('/').reduce((sum, score) => sum + (parseInt(score) || 0), 0);
+}
+
+/**
+ * Read a player's stats in a match (same keys in match stats and player match stats)
+ * @param {Object} stats - Raw player stats
+ * @returns {Object} kills, deaths, assists, headshots, hsPercent, kd, kr, adr, mvps, multi-kills and clutches
+ */
+function readPlayerStats(stats) {
+  const number = key => Number.parseFloat(stats[key] || 0) || 0;
+
+  return {
+    kills: parseInt(stats['Kills'] || 0),
+    deaths: parseInt(stats['Deaths'] || 0),
+    assists: parseInt(stats['Assists'] || 0),
+    headshots: parseInt(stats['Headshots'] || 0),
+    hsPercent: parseInt(stats['Headshots %'] || 0),
+    kd: number('K/D Ratio'),
+    kr: number('K/R Ratio'),
+    adr: number('ADR'),
+    mvps: parseInt(stats['MVPs'] || 0),
+    tripleKills: parseInt(stats['Triple Kills'] || 0),
+    quadroKills: parseInt(stats['Quadro Kills'] || 0),
+    pentaKills: parseInt(stats['Penta Kills'] || 0),
+    clutches1v1: parseInt(stats['1v1Wins'] || 0),
+    clutches1v2: parseInt(stats['1v2Wins'] || 0)
+  };
+}
+
+/**
+ * Parse a player's line of the scoreboard from /matches/{id}/stats
+ * (unlike getPlayerMatchStats, it also places the player on the scoreboard)
+ * @param {Object} matchStats - Match stats response
+ * @param {string} teamId - Team ID of the player's faction
  * @param {string} playerId - Player ID
- * @returns {Promise<Object>} Calculated statistics
+ * @returns {Object|null} Player stats (kills, deaths, assists, headshots, hsPercent, kd, kr, adr, mvps,
+ *   multi-kills, clutches), map, rounds, scoreboard rank and size, or null if the player is not in the stats
  */
-export async function calculateLast30MatchesStats(playerId) {
-  // Get last 30 matches
-  const historyData = await getPlayerHistory(playerId, 30);
-  const matches = historyData.items;
-  
-  if (!matches || matches.length === 0) {
-    return {
-      avgKills: 0,
-      kd: 0,
-      hsPercent: 0,
-      winrate: 0
-    };
-  }
-
-  // Fetch match stats in parallel
-  const matchStatsPromises = matches.map(match => getMatchStats(match.match_id));
-  const matchStatsResults = await Promise.all(matchStatsPromises);
-  
-  let totalKills = 0;
-  let totalDeaths = 0;
-  let totalHeadshots = 0;
-  let totalHeadshotKills = 0;
-  let wins = 0;
-  let validMatches = 0;
-
-  // Process each match
-  for (let i = 0; i < matches.length; i++) {
-    const match = matches[i];
-    const matchStats = matchStatsResults[i];
-    
-    if (!matchStats || !matchStats.rounds || matchStats.rounds.length === 0) {
-      continue;
-    }
+export function parseMatchStats(matchStats, teamId, playerId) {
+  const roundData = matchStats?.rounds?.[0]; // Use first round to get player stats
+  if (!roundData || !roundData.teams) return null;
 
-    // Find player team
-    let playerTeam = null;
-    if (match.teams.faction1.players.some(p => p.player_id === playerId)) {
-      playerTeam = 'faction1';
-    } else if (match.teams.faction2.players.some(p => p.player_id === playerId)) {
-      playerTeam = 'faction2';
-    }
-    
-    if (!playerTeam) continue;
+  const teamData = roundData.teams.find(t => t.team_id === teamId);
+  const playerData = teamData?.players?.find(p => p.player_id === playerId);
+  if (!playerData || !playerData.player_stats) return null;
 
-    // Check win
-    if (match.results.winner === playerTeam) {
-      wins++;
+  // Scoreboard order: most kills first, fewer deaths breaks ties
+  const scoreboard = roundData.teams
+    .flatMap(team => team.players || [])
+    .map(p => ({
+      playerId: p.player_id,
+      kills: parseInt(p.player_stats?.['Kills'] || 0),
+      deaths: parseInt(p.player_stats?.['Deaths'] || 0)
+    }))
+    .sort((a, b) => b.kills - a.kills || a.deaths - b.deaths);
+
+  return {
+    map: roundData.round_stats?.Map || null,
+    rounds: countRounds(roundData.round_stats || {}),
+    ...readPlayerStats(playerData.player_stats),
+    rank: scoreboard.findIndex(p => p.playerId === playerId) + 1,
+    players: scoreboard.length
+  };
+}
+
+/**
+ * Find a player's ELO change in a match
+ * 1. FLS API (optional enrichment)
+ * 2. Current ELO minus the ELO seen by the bot between the previous match and this one
+ *    (only valid for the player's most recent match)
+ * @param {string} playerId - Player ID
+ * @param {Object} match - Most recent match from player history
+ * @param {Object|undefined} previousMatch - Match played before it
+ * @param {number} currentElo - Current ELO
+ * @returns {Promise<number|null>} ELO change or null if unknown
+ */
+async function getLastMatchEloDelta(playerId, match, previousMatch, currentElo) {
+  try {
+    const extendedStats = await getExtendedMatchStats(playerId);
+    const delta = extendedStats.find(stats => stats.matchId === match.match_id)?.elo_delta;
+    if (Number.isFinite(delta)) {
+      return delta;
     }
+  } catch (error) {
+    console.error('FLS matches API unavailable:', error.message);
+  }
 
-    // Get player stats from the match
-    const roundData = matchStats.rounds[0]; // Use first round to get player stats
-    if (!roundData || !roundData.teams) continue;
+  if (!previousMatch) return null;
 
-    const teamData = roundData.teams.find(t => t.team_id === match.teams[playerTeam].team_id);
-    if (!teamData || !teamData.players) continue;
+  const recorded = historyStore.getEloBetween(playerId, previousMatch.finished_at * 1000, match.started_at * 1000);
+  return recorded ? currentElo - recorded.elo : null;
+}
+
+/**
+ * Build the scoreboard summary of a player's most recent match
+ * @param {string} playerId - Player ID
+ * @param {number} currentElo - Current ELO
+ * @returns {Promise<Object|null>} Last match data or null if the player has no matches
+ */
+export async function getLastMatchSummary(playerId, currentElo) {
+  const historyData = await getPlayerHistory(playerId, 2);
+  const [match, previousMatch] = historyData.items;
+  if (!match) return null;
+
+  const faction = getPlayerFaction(match, playerId);
+  const opponentFaction = faction === 'faction1' ? 'faction2' : 'faction1';
+
+  // Stats are published a few moments after the match ends
+  const fetchStats = faceitRequest(`/matches/${match.match_id}/stats`, { timeoutMs: 6000 })
+    .catch(error => {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    });
+
+  const [matchStats, eloDelta] = await Promise.all([
+    fetchStats,
+    getLastMatchEloDelta(playerId, match, previousMatch, currentElo)
+  ]);
+  const parsed = parseMatchStats(matchStats, match.teams[faction]?.team_id, playerId);
+  const score = match.results?.score;
+
+  return {
+    matchId: match.match_id,
+    map: formatMapName(parsed?.map),
+    score: score ? `${score[faction]}-${score[opponentFaction]}` : null,
+    result: isMatchWin(match, playerId) ? 'W' : 'L',
+    kills: parsed?.kills ?? null,
+    deaths: parsed?.deaths ?? null,
+    assists: parsed?.assists ?? null,
+    kd: parsed ? parsed.kd.toFixed(2) : null,
+    adr: parsed ? parsed.adr.toFixed(1) : null,
+    hsPercent: parsed?.hsPercent ?? null,
+    mvps: parsed?.mvps ?? null,
+    rank: parsed?.rank ?? null,
+    players: parsed?.players ?? null,
+    eloDelta
+  };
+}
+
+/**
+ * Calculate statistics from recent matches
+ * Ratios are weighted by kills/rounds rather than averaged per match
+ * @param {string} playerId - Player ID
+ * @param {number} [limit=30] - Number of recent matches
+ * @returns {Promise<Object>} Calculated statistics: matches, avgKills, kd, hsPercent, winrate,
+ *   adr, kr, mvps, tripleKills, quadroKills, pentaKills, clutches1v1, clutches1v2
+ */
+export async function calculateMatchesStats(playerId, limit = 30) {
+  const matches = await getPlayerMatchStats(playerId, limit);
 
-    const playerData = teamData.players.find(p => p.player_id === playerId);
-    if (!playerData || !playerData.player_stats) continue;
+  const totals = {
+    kills: 0,
+    deaths: 0,
+    headshots: 0,
+    rounds: 0,
+    damage: 0,
+    mvps: 0,
+    tripleKills: 0,
+    quadroKills: 0,
+    pentaKills: 0,
+    clutches1v1: 0,
+    clutches1v2: 0
+  };
+  let wins = 0;
 
-    const stats = playerData.player_stats;
-    totalKills += parseInt(stats['Kills'] || 0);
-    totalDeaths += parseInt(stats['Deaths'] || 0);
-    totalHeadshotKills += parseInt(stats['Headshots'] || 0);
-    totalHeadshots += parseInt(stats['Headshots %'] || 0);
-    
-    validMatches++;
+  for (const match of matches) {
+    wins += match.isWin ? 1 : 0;
+    totals.kills += match.kills;
+    totals.deaths += match.deaths;
+    totals.headshots += match.headshots;
+    totals.rounds += match.rounds;
+    totals.damage += match.adr * match.rounds;
+    totals.mvps += match.mvps;
+    totals.tripleKills += match.tripleKills;
+    totals.quadroKills += match.quadroKills;
+    totals.pentaKills += match.pentaKills;
+    totals.clutches1v1 += match.clutches1v1;
+    totals.clutches1v2 += match.clutches1v2;
   }
 
-  // Calculate averages
-  const avgKills = validMatches > 0 ? Math.round(totalKills / validMatches) : 0;
-  const kd = totalDeaths > 0 ? (totalKills / totalDeaths).toFixed(2) : totalKills.toFixed(2);
-  const hsPercent = validMatches > 0 ? Math.round(totalHeadshots / validMatches) : 0;
-  const winrate = matches.length > 0 ? Math.round((wins / matches.length) * 100) : 0;
+  const { kills, deaths, headshots, rounds } = totals;
+  const count = matches.length;
 
   return {
-    avgKills,
-    kd,
-    hsPercent,
-    winrate
+    matches: count,
+    avgKills: count > 0 ? Math.round(kills / count) : 0,
+    kd: deaths > 0 ? (kills / deaths).toFixed(2) : kills.toFixed(2),
+    // Share of all kills that were headshots (not the average of each match's HS%)
+    hsPercent: kills > 0 ? Math.round((headshots / kills) * 100) : 0,
+    winrate: count > 0 ? Math.round((wins / count) * 100) : 0,
+    adr: rounds > 0 ? (totals.damage / rounds).toFixed(1) : '0.0',
+    kr: rounds > 0 ? (kills / rounds).toFixed(2) : '0.00',
+    mvps: count > 0 ? (totals.mvps / count).toFixed(1) : '0.0',
+    tripleKills: totals.tripleKills,
+    quadroKills: totals.quadroKills,
+    pentaKills: totals.pentaKills,
+    clutches1v1: totals.clutches1v1,
+    clutches1v2: totals.clutches1v2
+  };
+}
+
+/**
+ * Find the matches two players played together or against each other
+ * @param {Array} matches - Matches from player A's history
+ * @param {string} playerIdA - Player A ID
+ * @param {string} playerIdB - Player B ID
+ * @returns {Object} Record from player A's side: { together: { wins, losses }, against: { wins, losses } }
+ */
+export function getHeadToHead(matches, playerIdA, playerIdB) {
+  const record = {
+    together: { wins: 0, losses: 0 },
+    against: { wins: 0, losses: 0 }
   };
+
+  for (const match of matches) {
+    const factionA = getPlayerFaction(match, playerIdA);
+    const factionB = getPlayerFaction(match, playerIdB);
+    if (!factionA || !factionB) continue;
+
+    const side = factionA === factionB ? record.together : record.against;
+    if (match.results.winner === factionA) {
+      side.wins++;
+    } else {
+      side.losses++;
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Normalize a map name for matching (de_mirage, Mirage, mirage -> mirage)
+ * @param {string} map - Map name or ID
+ * @returns {string} Normalized map name
+ */
+export function normalizeMapName(map) {
+  return map.trim().toLowerCase().replace(/^de_/, '');
+}
+
+/**
+ * Calculate statistics per map from recent matches
+ * Maps come from the player's match stats (see getPlayerMatchStats)
+ * @param {string} playerId - Player ID
+ * @param {number} [limit=30] - Number of recent matches
+ * @returns {Promise<Array>} Maps sorted by games played: [{ map, games, wins, losses, winrate, kd }]
+ */
+export async function calculateMapStats(playerId, limit = 30) {
+  const matches = await getPlayerMatchStats(playerId, limit);
+
+  const byMap = new Map();
+  for (const match of matches) {
+    if (!match.map) continue;
+
+    const key = normalizeMapName(match.map);
+    const entry = byMap.get(key) || { map: formatMapName(key), games: 0, wins: 0, kills: 0, deaths: 0 };
+    entry.games++;
+    entry.wins += match.isWin ? 1 : 0;
+    entry.kills += match.kills;
+    entry.deaths += match.deaths;
+    byMap.set(key, entry);
+  }
+
+  return [...byMap.values()]
+    .map(({ map, games, wins, kills, deaths }) => ({
+      map,
+      games,
+      wins,
+      losses: games - wins,
+      winrate: Math.round((wins / games) * 100),
+      kd: deaths > 0 ? (kills / deaths).toFixed(2) : kills.toFixed(2)
+    }))
+    .sort((a, b) => b.games - a.games || b.winrate - a.winrate);
+}
+
+// Maps with fewer games are not considered for best/worst (unless no map has enough)
+const MIN_GAMES_FOR_HIGHLIGHT = 3;
+
+/**
+ * Find the best and worst maps by winrate (K/D breaks ties)
+ * @param {Array} maps - Per map stats from calculateMapStats
+ * @returns {Object} { best, worst } map names (null without maps or with a single one)
+ */
+export function getMapHighlights(maps) {
+  const eligible = maps.filter(map => map.games >= MIN_GAMES_FOR_HIGHLIGHT);
+  const candidates = [...(eligible.length >= 2 ? eligible : maps)]
+    .sort((a, b) => b.winrate - a.winrate || b.kd - a.kd);
+
+  if (candidates.length < 2) {
+    return { best: null, worst: null };
+  }
+
+  return { best: candidates[0].map, worst: candidates.at(-1).map };
 }
 
 /**
@@ -369,54 +738,721 @@ export function hasCS2Data(playerData) {
 }
 
 /**
- * Format player statistics for display (based on last 30 matches)
- * Follows Faceit Tracker format: ELO | Level | Avg Kills | K/D | HS% | Winrate
+ * Build the stats response data (based on last 30 matches)
  * @param {Object} playerData - Player data
  * @param {Object} calculatedStats - Calculated statistics from last 30 matches
+ * @returns {Object} Stats data: nickname, elo, level, avgKills, kd, hsPercent, winrate
+ */
+export function buildStatsSummary(playerData, calculatedStats) {
+  return {
+    nickname: playerData.nickname,
+    elo: playerData.games.cs2.faceit_elo || 0,
+    level: playerData.games.cs2.skill_level || 0,
+    ...calculatedStats
+  };
+}
+
+// Stats that can be picked with ?fields= (in display order), default: the Faceit Tracker set
+const STATS_FIELDS = {
+  avgKills: (stats, lang) => `${t(lang, 'stats.avgKills')}: ${stats.avgKills}`,
+  kd: (stats, lang) => `${t(lang, 'stats.kd')}: ${stats.kd}`,
+  kr: (stats, lang) => `${t(lang, 'stats.kr')}: ${stats.kr}`,
+  adr: (stats, lang) => `${t(lang, 'stats.adr')}: ${stats.adr}`,
+  hsPercent: (stats, lang) => `${t(lang, 'stats.hsPercent')}: ${stats.hsPercent}%`,
+  winrate: (stats, lang) => `${t(lang, 'stats.winrate')}: ${stats.winrate}%`,
+  mvps: (stats, lang) => `${t(lang, 'stats.mvps')}: ${stats.mvps}`,
+  multiKills: (stats, lang) => `${t(lang, 'stats.multiKills')}: ${stats.tripleKills}/${stats.quadroKills}/${stats.pentaKills}`,
+  clutches: (stats, lang) => `${t(lang, 'stats.clutches')}: ${stats.clutches1v1}/${stats.clutches1v2}`
+};
+
+export const DEFAULT_STATS_FIELDS = ['avgKills', 'kd', 'hsPercent', 'winrate'];
+
+/**
+ * Parse the ?fields= list of stats to display (case-insensitive, unknown names ignored)
+ * @param {string|null} value - Comma separated field names (e.g. "kd,adr,multikills")
+ * @returns {Array<string>} Field names in display order (defaults when empty)
+ */
+export function parseStatsFields(value) {
+  const requested = (value || '').split(',').map(field => field.trim().toLowerCase());
+  const fields = Object.keys(STATS_FIELDS).filter(field => requested.includes(field.toLowerCase()));
+
+  return fields.length > 0 ? fields : DEFAULT_STATS_FIELDS;
+}
+
+/**
+ * Format player statistics for display
+ * Follows Faceit Tracker format: ELO | Level | Avg Kills | K/D | HS% | Winrate
+ * @param {Object} stats - Stats data from buildStatsSummary (fields: optional list of stats to show)
+ * @param {string} [lang] - Message catalog language
  * @returns {string} Formatted statistics string
  */
-export function formatStatsFromLast30(playerData, calculatedStats) {
-  const elo = playerData.games.cs2.faceit_elo || 0;
-  const level = playerData.games.cs2.skill_level || 0;
-  
+export function formatStats(stats, lang) {
+  const fields = stats.fields || DEFAULT_STATS_FIELDS;
+
   return [
-    `${playerData.nickname}:`,
-    `ELO: ${elo}`,
-    `Level: ${level}`,
-    `Avg Kills: ${calculatedStats.avgKills}`,
-    `K/D: ${calculatedStats.kd}`,
-    `HS%: ${calculatedStats.hsPercent}%`,
-    `Winrate: ${calculatedStats.winrate}%`
+    `${stats.nickname}:`,
+    `${t(lang, 'stats.elo')}: ${stats.elo}`,
+    `${t(lang, 'stats.level')}: ${stats.level}`,
+    ...fields.map(field => STATS_FIELDS[field](stats, lang))
   ].join(' | ');
 }
 
+/**
+ * Format the ELO response for display
+ * Format: 3776, W: 3, L: 1, +45 ELO (ELO change only when known)
+ * Snapshot data served during an outage gets an "(data from 5 min ago)" suffix
+ * @param {Object} data - ELO data: elo, wins, losses, eloDelta, [stale, age]
+ * @param {string} [lang] - Message catalog language
+ * @returns {string} Formatted ELO string
+ */
+export function formatEloResponse(data, lang) {
+  let summary = t(lang, 'elo.summary', data);
+
+  if (data.eloDelta !== null && data.eloDelta !== undefined) {
+    const delta = data.eloDelta > 0 ? `+${data.eloDelta}` : String(data.eloDelta);
+    summary = `${summary}, ${t(lang, 'elo.delta', { delta })}`;
+  }
+
+  return data.stale ? `${summary} ${t(lang, 'elo.stale', data)}` : summary;
+}
+
+/**
+ * Format today's W/L and ELO change for chat
+ * @param {Object} data - Today data: wins, losses, eloDelta
+ * @param {string} [lang] - Message catalog language
+ * @returns {string} Formatted string (e.g. Hoje: W: 3, L: 1, +45 ELO)
+ */
+export function formatToday(data, lang) {
+  const summary = t(lang, 'today.summary', data);
+
+  if (data.eloDelta === null || data.eloDelta === undefined) {
+    return summary;
+  }
+
+  const delta = data.eloDelta > 0 ? `+${data.eloDelta}` : String(data.eloDelta);
+  return `${summary}, ${t(lang, 'elo.delta', { delta })}`;
+}
+
 /**
  * Process match history to get W/L streak
  * @param {Array} matches - Match history array
  * @param {string} playerId - Player ID
- * @returns {string} Formatted streak string
+ * @returns {Array<string>} Match results, most recent first ('W' or 'L')
  */
 export function processMatchStreak(matches, playerId) {
   if (!matches || matches.length === 0) {
-    return 'Nenhuma partida encontrada';
+    return [];
   }
 
-  const results = matches.map(match => {
-    const teams = match.teams;
-    let playerTeam = null;
+  // Check if player's team won
+  return matches.map(match => (isMatchWin(match, playerId) ? 'W' : 'L'));
+}
 
-    // Find which team the player was on
-    if (teams.faction1.players.some(p => p.player_id === playerId)) {
-      playerTeam = 'faction1';
-    } else if (teams.faction2.players.some(p => p.player_id === playerId)) {
-      playerTeam = 'faction2';
-    }
+/**
+ * Format W/L streak for display
+ * @param {Object} data - Streak data: results
+ * @param {string} [lang] - Message catalog language
+ * @returns {string} Formatted streak string
+ */
+export function formatStreak(data, lang) {
+  if (data.results.length === 0) {
+    return t(lang, 'streak.empty');
+  }
 
-    // Check if player's team won
-    const won = match.results.winner === playerTeam;
-    return won ? 'W' : 'L';
+  return t(lang, 'streak.summary', {
+    count: data.results.length,
+    results: data.results.join(' ')
   });
+}
+
+/**
+ * Format ELO history summary for chat
+ * @param {Object} data - History data
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. +120 ELO (7 d): 2030 → 2150, pico: 2180, W: 15, L: 9),
+ *   W/L only when the ELO change is unknown
+ */
+export function formatHistory(data, lang) {
+  const change = data.eloChange > 0 ? `+${data.eloChange}` : String(data.eloChange);
+  const summary = data.eloChange === null
+    ? t(lang, 'history.unknown', data)
+    : t(lang, 'history.summary', { ...data, change });
+
+  // Tracking started during the period, so the change covers less than asked
+  return data.partial ? `${summary} ${t(lang, 'history.partial', data)}` : summary;
+}
+
+// K-factor of FACEIT's ELO formula (two evenly matched teams play for 25 ELO)
+const ELO_K_FACTOR = 50;
+
+/**
+ * Estimate the ELO a team wins or loses against an opponent
+ * @param {number} teamElo - Team average ELO
+ * @param {number} opponentElo - Opponent average ELO
+ * @returns {Object} { gain, loss } (both positive)
+ */
+export function getExpectedEloChange(teamElo, opponentElo) {
+  const expected = 1 / (1 + 10 ** ((opponentElo - teamElo) / 400));
+
+  return {
+    gain: Math.max(1, Math.round(ELO_K_FACTOR * (1 - expected))),
+    loss: Math.max(1, Math.round(ELO_K_FACTOR * expected))
+  };
+}
+
+/**
+ * Format a map ID for chat (de_mirage -> Mirage)
+ * @param {string|null} map - Map ID
+ * @returns {string|null} Map name
+ */
+export function formatMapName(map) {
+  if (!map) return null;
+
+  const name = map.replace(/^de_/, '');
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Normalize a match roster from the Data API (player_id, game_skill_level)
+ * or the web match API (id, gameSkillLevel, elo, partyId)
+ * @param {Array} roster - Raw roster
+ * @returns {Array} Players: [{ playerId, nickname, level, elo, partyId }]
+ */
+function normalizeRoster(roster = []) {
+  return roster.map(player => ({
+    playerId: player.player_id ?? player.id,
+    nickname: player.nickname,
+    level: player.game_skill_level ?? player.gameSkillLevel ?? null,
+    elo: player.elo ?? null,
+    partyId: player.partyId ?? null
+  }));
+}
+
+/**
+ * Get the average of the known values in a list
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Rounded average or null if none is known
+ */
+function averageOf(values) {
+  const known = values.filter(value => Number.isFinite(value));
+  if (known.length === 0) return null;
+
+  return Math.round(known.reduce((sum, value) => sum + value, 0) / known.length);
+}
+
+/**
+ * Fill in the current ELO of roster players whose ELO is unknown
+ * Players that cannot be fetched are left out of the average
+ * @param {Array} players - Normalized roster
+ * @returns {Promise<Array>} Roster with ELO
+ */
+async function fillRosterElo(players) {
+  return Promise.all(players.map(async player => {
+    if (player.elo !== null) return player;
+
+    try {
+      const data = await getPlayerById(player.playerId);
+      return { ...player, elo: data.games?.cs2?.faceit_elo ?? null };
+    } catch (error) {
+      return player;
+    }
+  }));
+}
+
+/**
+ * Describe the premades of a team from party data (e.g. "3+2")
+ * @param {Array} players - Normalized roster
+ * @returns {string|null} Party sizes above 1, or null without party data or premades
+ */
+function getPremades(players) {
+  if (!players.some(player => player.partyId)) return null;
+
+  // Players without a party queued solo
+  const sizes = new Map();
+  for (const player of players.filter(p => p.partyId)) {
+    sizes.set(player.partyId, (sizes.get(player.partyId) || 0) + 1);
+  }
+
+  const premades = [...sizes.values()].filter(size => size > 1).sort((a, b) => b - a);
+  return premades.length > 0 ? premades.join('+') : null;
+}
+
+/**
+ * Build the /match summary for a player
+ * @param {string} playerId - Player ID
+ * @param {Object} details - Match details from the Data API
+ * @param {Object|null} liveMatch - Same match from the web match API (ELO and parties), if live
+ * @returns {Promise<Object>} Match data
+ */
+export async function buildMatchSummary(playerId, details, liveMatch) {
+  // Party IDs are only exposed through the web match API
+  const partyByPlayer = new Map();
+  for (const [partyId, members] of Object.entries(liveMatch?.entityCustom?.parties || {})) {
+    members.forEach(member => partyByPlayer.set(member, partyId));
+  }
+
+  const getRoster = faction => {
+    const liveRoster = normalizeRoster(liveMatch?.teams?.[faction]?.roster);
+    return normalizeRoster(details.teams?.[faction]?.roster).map(player => {
+      const live = liveRoster.find(p => p.playerId === player.playerId);
+      return {
+        ...player,
+        elo: live?.elo ?? player.elo,
+        partyId: live?.partyId ?? partyByPlayer.get(player.playerId) ?? null
+      };
+    });
+  };
+
+  const faction = details.teams?.faction2?.roster?.some(p => p.player_id === playerId) ? 'faction2' : 'faction1';
+  const opponentFaction = faction === 'faction1' ? 'faction2' : 'faction1';
+  const [team, opponent] = await Promise.all([
+    fillRosterElo(getRoster(faction)),
+    fillRosterElo(getRoster(opponentFaction))
+  ]);
+
+  const teamElo = averageOf(team.map(player => player.elo));
+  const opponentElo = averageOf(opponent.map(player => player.elo));
+  const live = !['FINISHED', 'CANCELLED', 'ABORTED'].includes(details.status);
+  const stakes = live && teamElo !== null && opponentElo !== null
+    ? getExpectedEloChange(teamElo, opponentElo)
+    : { gain: null, loss: null };
+  const score = details.results?.score;
+
+  return {
+    matchId: details.match_id,
+    live,
+    status: details.status,
+    map: formatMapName(details.voting?.map?.pick?.[0]),
+    team: details.teams?.[faction]?.name,
+    opponent: details.teams?.[opponentFaction]?.name,
+    teamElo,
+    opponentElo,
+    teamLevel: averageOf(team.map(player => player.level)),
+    opponentLevel: averageOf(opponent.map(player => player.level)),
+    gain: stakes.gain,
+    loss: stakes.loss,
+    premade: getPremades(opponent),
+    score: !live && score ? `${score[faction]}-${score[opponentFaction]}` : null,
+    result: !live && details.results ? (details.results.winner === faction ? 'W' : 'L') : null
+  };
+}
+
+/**
+ * Format match summary for chat
+ * @param {Object} data - Match data
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string
+ */
+export function formatMatch(data, lang) {
+  if (!data.matchId) {
+    return t(lang, 'match.none');
+  }
+
+  const params = {
+    ...data,
+    map: data.map || '?',
+    teamElo: data.teamElo ?? '?',
+    opponentElo: data.opponentElo ?? '?',
+    teamLevel: data.teamLevel ?? '?',
+    opponentLevel: data.opponentLevel ?? '?',
+    score: data.score || '?',
+    result: data.result || '?'
+  };
+
+  const parts = [t(lang, data.live ? 'match.live' : 'match.last', params)];
+
+  if (data.premade) {
+    parts.push(t(lang, 'match.premade', data));
+  }
+
+  if (data.gain !== null) {
+    parts.push(t(lang, 'match.stakes', data));
+  }
+
+  return parts.join(' | ');
+}
+
+/**
+ * Format last match scoreboard line for chat
+ * @param {Object} data - Last match data
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. Mirage 13-8 (W) | K/D/A: 24/15/4 (1.60) | ADR: 85.5 | HS: 50% | MVPs: 3 | #1/10 | +25 ELO)
+ */
+export function formatLastMatch(data, lang) {
+  if (!data.matchId) {
+    return t(lang, 'match.none');
+  }
+
+  const parts = [t(lang, 'last.result', { ...data, map: data.map || '?', score: data.score || '?' })];
+
+  if (data.kills === null) {
+    parts.push(t(lang, 'last.pending'));
+  } else {
+    parts.push(t(lang, 'last.scoreboard', data));
+  }
+
+  if (data.eloDelta !== null && data.eloDelta !== undefined) {
+    const delta = data.eloDelta > 0 ? `+${data.eloDelta}` : String(data.eloDelta);
+    parts.push(t(lang, 'elo.delta', { delta }));
+  }
+
+  return parts.join(' | ');
+}
+
+/**
+ * Format per map statistics for chat
+ * @param {Object} data - Map data: maps, best, worst, limit (or map for the single map variant)
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. Mirage: 8 (63%, K/D 1.20) | Inferno: 5 (40%, K/D 0.95) | Melhor: Mirage, Pior: Inferno)
+ */
+export function formatMapStats(data, lang) {
+  // Single map variant (/maps?map=mirage)
+  if (data.map) {
+    return data.games > 0
+      ? t(lang, 'maps.single', data)
+      : t(lang, 'maps.notPlayed', data);
+  }
+
+  if (data.maps.length === 0) {
+    return t(lang, 'streak.empty');
+  }
+
+  const parts = data.maps.map(map => t(lang, 'maps.entry', map));
+
+  if (data.best) {
+    parts.push(t(lang, 'maps.highlights', data));
+  }
+
+  return parts.join(' | ');
+}
+
+/**
+ * Format a head-to-head comparison for chat
+ * @param {Object} data - Comparison data: a, b (stats summaries), together, against
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. m9TZin vs s1mple | ELO: 2150 x 3250 | ... | Juntos: 5W/3L | Contra: 2-1)
+ */
+export function formatComparison(data, lang) {
+  const { a, b } = data;
+  const parts = [
+    `${a.nickname} vs ${b.nickname}`,
+    `${t(lang, 'stats.elo')}: ${a.elo} x ${b.elo}`,
+    `${t(lang, 'stats.level')}: ${a.level} x ${b.level}`,
+    `${t(lang, 'stats.kd')}: ${a.kd} x ${b.kd}`,
+    `${t(lang, 'stats.hsPercent')}: ${a.hsPercent}% x ${b.hsPercent}%`,
+    `${t(lang, 'stats.winrate')}: ${a.winrate}% x ${b.winrate}%`
+  ];
+
+  if (data.together.wins + data.together.losses > 0) {
+    parts.push(t(lang, 'compare.together', data.together));
+  }
+
+  if (data.against.wins + data.against.losses > 0) {
+    parts.push(t(lang, 'compare.against', data.against));
+  }
+
+  return parts.join(' | ');
+}
+
+// Recent wins used to average the ELO gained per win
+const WIN_GAIN_SAMPLE = 20;
+
+/**
+ * Get the average ELO gained per win over recent matches (from the FLS API)
+ * @param {string} playerId - Player ID
+ * @returns {Promise<number|null>} Average gain or null if unknown
+ */
+async function getAverageWinGain(playerId) {
+  let extendedStats;
+  try {
+    extendedStats = await getExtendedMatchStats(playerId);
+  } catch (error) {
+    console.error('FLS matches API unavailable:', error.message);
+    return null;
+  }
+
+  const gains = extendedStats
+    .filter(stats => stats.isWin && Number.isFinite(stats.elo_delta) && stats.elo_delta > 0)
+    .slice(0, WIN_GAIN_SAMPLE)
+    .map(stats => stats.elo_delta);
+
+  if (gains.length === 0) return null;
+  return Math.round(gains.reduce((sum, gain) => sum + gain, 0) / gains.length);
+}
+
+/**
+ * Build level progress data for a player
+ * Wins needed use the player's recent average gain per win,
+ * or the gain of a win between evenly matched teams when unknown
+ * @param {string} playerId - Player ID
+ * @param {number} elo - Current ELO
+ * @returns {Promise<Object>} { level, nextLevel, eloToNext, eloToDrop, avgWinGain, winsNeeded }
+ */
+export async function buildLevelProgress(playerId, elo) {
+  const progress = getLevelProgress(elo);
+  const avgWinGain = progress.eloToNext === null ? null : await getAverageWinGain(playerId);
+  const gainPerWin = avgWinGain || ELO_K_FACTOR / 2;
+
+  return {
+    ...progress,
+    avgWinGain,
+    winsNeeded: progress.eloToNext === null ? null : Math.ceil(progress.eloToNext / gainPerWin)
+  };
+}
+
+/**
+ * Format the level progress parts (ELO to the next level, ELO before dropping)
+ * @param {Object} data - Level progress data from buildLevelProgress
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. Faltam 51 ELO para o nível 10 (~3 vitórias) | Cai de nível com -150 ELO)
+ */
+export function formatLevelSuffix(data, lang) {
+  const parts = [];
+
+  // Snapshots saved without level progress have neither
+  if (Number.isFinite(data.eloToNext)) {
+    parts.push(t(lang, 'level.next', data));
+  }
+
+  if (Number.isFinite(data.eloToDrop)) {
+    parts.push(t(lang, 'level.drop', data));
+  }
+
+  return parts.join(' | ');
+}
+
+/**
+ * Format level progress for chat
+ * @param {Object} data - Level data: nickname, elo and level progress
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. Nível 9 (1950 ELO) | Faltam 51 ELO para o nível 10 (~3 vitórias) | Cai de nível com -200 ELO)
+ */
+export function formatLevel(data, lang) {
+  return [t(lang, 'level.current', data), formatLevelSuffix(data, lang)]
+    .filter(Boolean)
+    .join(' | ');
+}
+
+/**
+ * Format ranking positions for chat
+ * @param {Object} data - Rank data: region, country, regionPosition, countryPosition
+ * @param {string} lang - Language code
+ * @returns {string} Formatted string (e.g. #1234 EU, #56 BR)
+ */
+export function formatRank(data, lang) {
+  const parts = [];
+
+  if (data.regionPosition) {
+    parts.push(`#${data.regionPosition} ${data.region}`);
+  }
+
+  if (data.countryPosition) {
+    parts.push(`#${data.countryPosition} ${data.country}`);
+  }
+
+  return parts.length > 0 ? parts.join(', ') : t(lang, 'rank.unranked');
+}
+
+/**
+ * Format a match ready announcement
+ * @param {Object} data - Event data: nickname, team, opponent
+ * @param {string} [lang] - Language code
+ * @returns {string} Formatted string (e.g. Partida encontrada: team_m9TZin vs team_enemy)
+ */
+export function formatMatchReady(data, lang) {
+  return t(lang, 'announce.ready', data);
+}
+
+/**
+ * Format a match finished announcement
+ * @param {Object} data - Event data: nickname, elo, eloChange
+ * @param {string} [lang] - Language code
+ * @returns {string} Formatted string (e.g. GG! +25 ELO (3801))
+ */
+export function formatMatchFinished(data, lang) {
+  if (data.eloChange === null || data.eloChange === undefined) {
+    return t(lang, 'announce.finishedUnknown', data);
+  }
+
+  const change = data.eloChange > 0 ? `+${data.eloChange}` : String(data.eloChange);
+  return t(lang, 'announce.finished', { ...data, change });
+}
+
+/**
+ * Get player data, making sure the player has CS2 data
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @returns {Promise<Object>} Player data
+ */
+async function getCS2PlayerData(playerQuery) {
+  // Get player data (uses default player if no query provided)
+  const playerData = await getPlayerData(playerQuery);
+
+  if (!hasCS2Data(playerData)) {
+    throw new Error('Dados de CS2 não encontrados para o jogador');
+  }
+
+  return playerData;
+}
+
+/**
+ * Get the data of the ELO command
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @param {boolean} [withLevel=false] - Include level progress (see buildLevelProgress)
+ * @returns {Promise<Object>} ELO data: nickname, elo, level, wins, losses, eloDelta
+ */
+export async function getEloData(playerQuery, withLevel = false) {
+  const playerData = await getCS2PlayerData(playerQuery);
+  const elo = playerData.games.cs2.faceit_elo;
+
+  // Calculate today's stats (W/L and ELO change)
+  const [todayStats, levelProgress] = await Promise.all([
+    calculateTodayStats(playerData.player_id, elo, playerData.nickname),
+    withLevel ? buildLevelProgress(playerData.player_id, elo) : null
+  ]);
+
+  return {
+    nickname: playerData.nickname,
+    elo,
+    level: playerData.games.cs2.skill_level || 0,
+    wins: todayStats.wins,
+    losses: todayStats.losses,
+    eloDelta: todayStats.eloDelta,
+    ...levelProgress
+  };
+}
+
+/**
+ * Get the data of the chat bot's !wl command (today's W/L and ELO change)
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @returns {Promise<Object>} Today data: nickname, wins, losses, eloDelta
+ */
+export async function getTodayData(playerQuery) {
+  const playerData = await getCS2PlayerData(playerQuery);
+  const todayStats = await calculateTodayStats(playerData.player_id, playerData.games.cs2.faceit_elo, playerData.nickname);
+
+  return { nickname: playerData.nickname, ...todayStats };
+}
+
+/**
+ * Get the data of the stats command
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @param {number} [limit=30] - Number of recent matches
+ * @param {Array<string>} [fields] - Fields shown in chat (see parseStatsFields)
+ * @returns {Promise<Object>} Stats summary with limit and fields
+ */
+export async function getStatsData(playerQuery, limit = 30, fields = DEFAULT_STATS_FIELDS) {
+  const playerData = await getCS2PlayerData(playerQuery);
+
+  // Calculate statistics from recent matches
+  const calculatedStats = await calculateMatchesStats(playerData.player_id, limit);
+
+  return { ...buildStatsSummary(playerData, calculatedStats), limit, fields };
+}
+
+/**
+ * Get the data of the streak command (last 10 results)
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @returns {Promise<Object>} Streak data: nickname, results, wins, losses
+ */
+export async function getStreakData(playerQuery) {
+  // Get player data (uses default player if no query provided)
+  const playerData = await getPlayerData(playerQuery);
+  const playerId = playerData.player_id;
+
+  // Get match history
+  const historyData = await getPlayerHistory(playerId, 10);
+  const results = processMatchStreak(historyData.items, playerId);
+
+  return {
+    nickname: playerData.nickname,
+    results,
+    wins: results.filter(result => result === 'W').length,
+    losses: results.filter(result => result === 'L').length
+  };
+}
+
+/**
+ * Get the data of the last match command
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @returns {Promise<Object>} Last match data (matchId null if the player has no matches)
+ */
+export async function getLastMatchData(playerQuery) {
+  const playerData = await getCS2PlayerData(playerQuery);
+  const summary = await getLastMatchSummary(playerData.player_id, playerData.games.cs2.faceit_elo);
 
-  return `Últimas 10 (mais recente → antiga): ${results.join(' ')}`;
+  return {
+    nickname: playerData.nickname,
+    ...(summary || { matchId: null })
+  };
 }
 
+/**
+ * Get the data of the level command
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @returns {Promise<Object>} Level data: nickname, elo and level progress
+ */
+export async function getLevelData(playerQuery) {
+  const playerData = await getCS2PlayerData(playerQuery);
+  const elo = playerData.games.cs2.faceit_elo;
+
+  return {
+    nickname: playerData.nickname,
+    elo,
+    ...await buildLevelProgress(playerData.player_id, elo)
+  };
+}
+
+/**
+ * Get the data of the rank command
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @returns {Promise<Object>} Rank data: nickname, region, country, regionPosition, countryPosition
+ */
+export async function getRankData(playerQuery) {
+  const playerData = await getCS2PlayerData(playerQuery);
+
+  const playerId = playerData.player_id;
+  const region = playerData.games.cs2.region;
+  const country = playerData.country;
+
+  const [regionPosition, countryPosition] = region
+    ? await Promise.all([
+      getPlayerRankingPosition(playerId, region),
+      country ? getPlayerRankingPosition(playerId, region, country) : null
+    ])
+    : [null, null];
+
+  return {
+    nickname: playerData.nickname,
+    region: region || null,
+    country: country ? country.toUpperCase() : null,
+    regionPosition,
+    countryPosition
+  };
+}
+
+/**
+ * Get the data of the stream overlay (ELO, today's W/L and ELO change, last 10 results)
+ * @param {string|null} playerQuery - Player query (default player if null)
+ * @returns {Promise<Object>} Overlay data: playerId, nickname, elo, level, wins, losses, eloDelta, results
+ */
+export async function getOverlayData(playerQuery) {
+  const playerData = await getCS2PlayerData(playerQuery);
+  const playerId = playerData.player_id;
+  const elo = playerData.games.cs2.faceit_elo;
+
+  const [todayStats, historyData] = await Promise.all([
+    calculateTodayStats(playerId, elo, playerData.nickname),
+    getPlayerHistory(playerId, 10)
+  ]);
+
+  return {
+    playerId,
+    nickname: playerData.nickname,
+    elo,
+    level: playerData.games.cs2.skill_level || 0,
+    wins: todayStats.wins,
+    losses: todayStats.losses,
+    eloDelta: todayStats.eloDelta,
+    results: processMatchStreak(historyData.items, playerId)
+  };
+}
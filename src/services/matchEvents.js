@@ -0,0 +1,159 @@
+/**
+ * Match events service
+ * Turns FACEIT match events into fresh state for the players the bot follows:
+ * ELO snapshot, session and history are updated, cached responses are
+ * dropped and the event goes out on the event bus
+ */
+
+import { config } from '../config/index.js';
+import { cache, sessionEloCache } from '../utils/cache.js';
+import { events } from '../utils/events.js';
+import { isTrackedPlayer } from '../utils/channels.js';
+import { snapshotStore } from '../storage/snapshotStore.js';
+import { getPlayerById, hasCS2Data, calculateTodayStats } from './faceitService.js';
+
+// FACEIT webhook event -> event bus event
+const MATCH_EVENTS = {
+  match_status_ready: 'match:ready',
+  match_status_finished: 'match:finished'
+};
+
+// Match events already handled, so a redelivered event is never announced twice
+const MAX_HANDLED_EVENTS = 200;
+const handledEvents = new Set();
+
+// Namespaces holding per-player responses ('player-id' only maps nicknames to IDs)
+const PLAYER_NAMESPACES = Object.keys(config.cache.namespaces).filter(namespace => namespace !== 'player-id');
+
+/**
+ * Drop every cached response of a player (keys are <namespace>:<player>:...)
+ * Responses cached under a player ID, Steam ID or profile URL expire on their own
+ * @param {string} nickname - Player nickname
+ */
+export async function invalidatePlayerCache(nickname) {
+  const player = nickname.toLowerCase();
+  await Promise.all(PLAYER_NAMESPACES.map(namespace => cache.clear(`${namespace}:${player}:*`)));
+}
+
+/**
+ * List the players of a match event with their team and the opposing team
+ * @param {Object} payload - Event payload (match with teams[].roster[])
+ * @returns {Array<Object>} Players: [{ playerId, nickname, team, opponent }]
+ */
+function getMatchPlayers(payload) {
+  const teams = Array.isArray(payload.teams) ? payload.teams : [];
+
+  return teams.flatMap(team => {
+    const opponent = teams.find(other => other !== team);
+    return (team.roster || []).map(player => ({
+      playerId: player.id || player.player_id,
+      nickname: player.nickname,
+      team: team.name,
+      opponent: opponent?.name || null
+    }));
+  });
+}
+
+/**
+ * Handle a match that is about to start for a tracked player
+ * @param {string} matchId - Match ID
+ * @param {Object} player - Player from getMatchPlayers
+ */
+async function handleMatchReady(matchId, player) {
+  await invalidatePlayerCache(player.nickname);
+  events.emit('match:ready', { matchId, ...player });
+}
+
+/**
+ * Handle a match that just finished for a tracked player
+ * Refreshes ELO, session W/L and the /elo snapshot right away
+ * @param {string} matchId - Match ID
+ * @param {Object} player - Player from getMatchPlayers
+ */
+async function handleMatchFinished(matchId, player) {
+  const previous = await sessionEloCache.getLastSeenElo(player.playerId);
+  const playerData = await getPlayerById(player.playerId);
+
+  if (!hasCS2Data(playerData)) return;
+
+  const elo = playerData.games.cs2.faceit_elo;
+  const todayStats = await calculateTodayStats(player.playerId, elo, playerData.nickname);
+
+  const data = {
+    nickname: playerData.nickname,
+    elo,
+    level: playerData.games.cs2.skill_level || 0,
+    wins: todayStats.wins,
+    losses: todayStats.losses,
+    eloDelta: todayStats.eloDelta
+  };
+  snapshotStore.save(playerData.nickname.toLowerCase(), data);
+
+  await invalidatePlayerCache(playerData.nickname);
+
+  // FACEIT can take a moment to apply the new ELO: unchanged means not known yet
+  const eloChange = previous && previous.elo !== elo ? elo - previous.elo : null;
+
+  events.emit('match:finished', {
+    matchId,
+    playerId: player.playerId,
+    nickname: playerData.nickname,
+    elo,
+    level: data.level,
+    eloChange,
+    wins: data.wins,
+    losses: data.losses
+  });
+}
+
+/**
+ * Handle a match event for a tracked player, once per match, event and player
+ * @param {string} event - Event bus event ('match:ready' or 'match:finished')
+ * @param {string} matchId - Match ID
+ * @param {Object} player - Player: { playerId, nickname, team, opponent }
+ * @returns {Promise<boolean>} False if the event was already handled
+ */
+export async function processMatchEvent(event, matchId, player) {
+  const key = `${event}:${matchId}:${player.playerId}`;
+  if (handledEvents.has(key)) return false;
+
+  handledEvents.add(key);
+  if (handledEvents.size > MAX_HANDLED_EVENTS) {
+    handledEvents.delete(handledEvents.values().next().value);
+  }
+
+  try {
+    await (event === 'match:ready' ? handleMatchReady : handleMatchFinished)(matchId, player);
+  } catch (error) {
+    // Let a redelivery try again
+    handledEvents.delete(key);
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Handle a FACEIT match event (webhook body)
+ * Only players the bot follows are processed (see isTrackedPlayer)
+ * @param {Object} body - Event: { event, payload: { id, teams } }
+ * @returns {Promise<number>} Number of tracked players in the match
+ */
+export async function handleFaceitEvent(body) {
+  const busEvent = MATCH_EVENTS[body?.event];
+  const payload = body?.payload;
+  if (!busEvent || !payload) return 0;
+
+  const players = getMatchPlayers(payload)
+    .filter(player => player.playerId && player.nickname && isTrackedPlayer(player.nickname));
+
+  const results = await Promise.allSettled(players.map(player => processMatchEvent(busEvent, payload.id, player)));
+
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error(`Failed to handle ${body.event}:`, result.reason.message);
+    }
+  }
+
+  return players.length;
+}
@@ -0,0 +1,127 @@
+/**
+ * Player resolver
+ * Turns whatever chat typed (nickname in any case, player ID, Steam ID64
+ * or FACEIT profile URL) into FACEIT player data with as few API calls as possible
+ */
+
+import { PlayerNotFoundError, NotFoundError } from '../middlewares/errorHandler.js';
+import { faceitRequest } from './faceitClient.js';
+import { cache } from '../utils/cache.js';
+import { resolvePlayerParam } from '../utils/channels.js';
+
+// FACEIT player IDs are UUIDs
+const PLAYER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Steam ID64 of individual accounts
+const STEAM_ID64_PATTERN = /^7656119\d{10}$/;
+// https://www.faceit.com/en/players/<nickname>[/stats/cs2]
+const PROFILE_URL_PATTERN = /faceit\.com\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?players\/([^/?#\s]+)/i;
+
+/**
+ * Work out what kind of player reference a query is
+ * @param {string} query - Trimmed query
+ * @returns {Object} { type: 'id' | 'steam' | 'nickname', value }
+ */
+export function parsePlayerQuery(query) {
+  const profileMatch = query.match(PROFILE_URL_PATTERN);
+  if (profileMatch) {
+    return { type: 'nickname', value: decodeURIComponent(profileMatch[1]) };
+  }
+
+  if (PLAYER_ID_PATTERN.test(query)) {
+    return { type: 'id', value: query.toLowerCase() };
+  }
+
+  if (STEAM_ID64_PATTERN.test(query)) {
+    return { type: 'steam', value: query };
+  }
+
+  return { type: 'nickname', value: query };
+}
+
+/**
+ * Run a lookup, turning "not found" into null
+ * @param {string} endpoint - FACEIT Data API endpoint
+ * @returns {Promise<Object|null>} Response or null on 404
+ */
+async function findOrNull(endpoint) {
+  try {
+    return await faceitRequest(endpoint);
+  } catch (error) {
+    if (error instanceof NotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Find a player ID with the search endpoint (case-insensitive exact nickname match)
+ * @param {string} nickname - Nickname in any case
+ * @returns {Promise<string|null>} Player ID or null if no player has that nickname
+ */
+async function searchPlayerId(nickname) {
+  const response = await faceitRequest(
+    `/search/players?nickname=${encodeURIComponent(nickname)}&game=cs2&offset=0&limit=20`
+  );
+  const match = (response.items || [])
+    .find(item => item.nickname.toLowerCase() === nickname.toLowerCase());
+
+  return match?.player_id || null;
+}
+
+/**
+ * Resolve a nickname to player data
+ * 1. Cached nickname -> player ID mapping (one lookup by ID)
+ * 2. Exact nickname lookup (works when the case matches)
+ * 3. Search endpoint for a case-insensitive match, then lookup by ID
+ * @param {string} nickname - Nickname in any case
+ * @returns {Promise<Object|null>} Player data or null if not found
+ */
+async function resolveNickname(nickname) {
+  const cacheKey = `player-id:${nickname.toLowerCase()}`;
+
+  const cachedId = await cache.get(cacheKey);
+  if (cachedId) {
+    const playerData = await findOrNull(`/players/${cachedId}`);
+    if (playerData) return playerData;
+
+    // Account gone: forget the mapping and resolve again
+    await cache.clear(cacheKey);
+  }
+
+  let playerData = await findOrNull(`/players?nickname=${encodeURIComponent(nickname)}`);
+
+  if (!playerData) {
+    const playerId = await searchPlayerId(nickname);
+    playerData = playerId ? await findOrNull(`/players/${playerId}`) : null;
+  }
+
+  if (playerData) {
+    await cache.set(cacheKey, playerData.player_id);
+  }
+
+  return playerData;
+}
+
+/**
+ * Resolve a player query to FACEIT player data
+ * @param {string} [query] - Nickname, player ID, Steam ID64, profile URL or @viewer (default player of the channel if empty)
+ * @returns {Promise<Object>} Player data
+ * @throws {PlayerNotFoundError} When no player matches
+ */
+export async function resolvePlayer(query) {
+  const { type, value } = parsePlayerQuery(resolvePlayerParam(query));
+
+  let playerData;
+  if (type === 'id') {
+    playerData = await findOrNull(`/players/${value}`);
+  } else if (type === 'steam') {
+    playerData = await findOrNull(`/players?game=cs2&game_player_id=${value}`);
+  } else {
+    playerData = await resolveNickname(value);
+  }
+
+  if (!playerData) {
+    throw new PlayerNotFoundError();
+  }
+
+  return playerData;
+}
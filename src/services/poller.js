@@ -0,0 +1,185 @@
+/**
+ * Poller service
+ * Checks tracked players in the background so new matches are noticed without
+ * a chat command (or a FACEIT webhook): ELO history and snapshots are recorded,
+ * match events go out on the event bus and the main commands' caches are warmed
+ */
+
+import { config } from '../config/index.js';
+import { getPlayerChannels, runInChannel } from '../utils/channels.js';
+import { withDeadline } from '../utils/deadline.js';
+import { COMMANDS, runCommand } from '../bot/commands.js';
+import { processMatchEvent } from './matchEvents.js';
+import {
+  getPlayerData,
+  getPlayerHistory,
+  getLiveMatch,
+  hasCS2Data,
+  recordPlayerHistory
+} from './faceitService.js';
+
+// Commands whose answers are computed ahead of the first request after a match
+const WARMED_COMMANDS = ['elo', 'wl', 'last'];
+
+// Delay between the first polls of two players, so startup is not a burst of requests
+const START_STAGGER = 2000;
+
+/**
+ * Get the team names of a player in a live match
+ * @param {Object} liveMatch - Live match (see getLiveMatch)
+ * @param {string} playerId - Player ID
+ * @returns {Object} { team, opponent } (null when unknown)
+ */
+function getLiveTeams(liveMatch, playerId) {
+  const factions = Object.entries(liveMatch.teams || {});
+  const own = factions.find(([, team]) => (team.roster || []).some(player => player.id === playerId));
+  const opponent = factions.find(entry => entry !== own);
+
+  return {
+    team: own?.[1].name || null,
+    opponent: opponent?.[1].name || null
+  };
+}
+
+class Poller {
+  /**
+   * @param {Object} options - Poller options
+   * @param {number} options.idleInterval - Time between polls while the player is not in a match
+   * @param {number} options.liveInterval - Time between polls while the player is in a match
+   * @param {number} options.deadline - Time budget of one poll
+   */
+  constructor({ idleInterval, liveInterval, deadline }) {
+    this.idleInterval = idleInterval;
+    this.liveInterval = liveInterval;
+    this.deadline = deadline;
+    // Map of nickname -> { lastMatchId, liveMatchId, timer } (IDs undefined until the first poll)
+    this.players = new Map();
+    this.stopped = true;
+  }
+
+  /**
+   * Start polling players
+   * @param {Array<string>} nicknames - Players to poll
+   */
+  start(nicknames) {
+    this.stopped = false;
+
+    nicknames.forEach((nickname, index) => {
+      this.players.set(nickname, { lastMatchId: undefined, liveMatchId: undefined, timer: null });
+      this.schedule(nickname, index * START_STAGGER);
+    });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.stopped = true;
+
+    for (const state of this.players.values()) {
+      clearTimeout(state.timer);
+    }
+  }
+
+  /**
+   * Schedule the next poll of a player
+   * @param {string} nickname - Player nickname
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedule(nickname, delay) {
+    const state = this.players.get(nickname);
+    state.timer = setTimeout(() => this.run(nickname), delay);
+    // Never keep the process alive just to poll
+    state.timer.unref();
+  }
+
+  /**
+   * Poll a player and schedule the next poll
+   * @param {string} nickname - Player nickname
+   */
+  async run(nickname) {
+    let interval = this.idleInterval;
+
+    try {
+      interval = await withDeadline(this.deadline, () => this.poll(nickname));
+    } catch (error) {
+      console.error(`Failed to poll ${nickname}:`, error.message);
+    }
+
+    if (!this.stopped) {
+      this.schedule(nickname, interval);
+    }
+  }
+
+  /**
+   * Poll a player once
+   * - Records the current ELO and results in the ELO history
+   * - A new live match emits match:ready, a new match in the history emits
+   *   match:finished (see processMatchEvent), the first poll only sets the baseline
+   * @param {string} nickname - Player nickname
+   * @returns {Promise<number>} Delay until the next poll (shorter while in a match)
+   */
+  async poll(nickname) {
+    const state = this.players.get(nickname);
+    const playerData = await getPlayerData(nickname);
+
+    if (!hasCS2Data(playerData)) {
+      return this.idleInterval;
+    }
+
+    const playerId = playerData.player_id;
+    const player = { playerId, nickname: playerData.nickname };
+
+    const [historyData, liveMatch] = await Promise.all([
+      getPlayerHistory(playerId, 20),
+      getLiveMatch(playerId)
+    ]);
+    recordPlayerHistory(playerId, playerData.games.cs2.faceit_elo, historyData.items);
+
+    const firstPoll = state.lastMatchId === undefined;
+    const lastMatchId = historyData.items[0]?.match_id ?? null;
+    const liveMatchId = liveMatch?.id ?? null;
+
+    if (!firstPoll && liveMatchId && liveMatchId !== state.liveMatchId) {
+      await processMatchEvent('match:ready', liveMatchId, { ...player, ...getLiveTeams(liveMatch, playerId) });
+    }
+
+    // Only the latest match is announced, even if several finished between two polls
+    if (!firstPoll && lastMatchId && lastMatchId !== state.lastMatchId) {
+      await processMatchEvent('match:finished', lastMatchId, player);
+    }
+
+    if (firstPoll || lastMatchId !== state.lastMatchId) {
+      await this.warm(playerData.nickname);
+    }
+
+    state.lastMatchId = lastMatchId;
+    state.liveMatchId = liveMatchId;
+
+    return liveMatch ? this.liveInterval : this.idleInterval;
+  }
+
+  /**
+   * Compute the main commands of a player into the cache, with the global
+   * settings and the settings of each of the player's channels
+   * @param {string} nickname - Player nickname
+   */
+  async warm(nickname) {
+    const channelKeys = [null, ...getPlayerChannels(nickname).map(({ key }) => key)];
+
+    for (const key of channelKeys) {
+      for (const name of WARMED_COMMANDS) {
+        const definition = COMMANDS[name];
+
+        try {
+          await runInChannel({ key, command: definition.command }, () => runCommand(definition, nickname));
+        } catch (error) {
+          console.error(`Failed to warm ${name} for ${nickname}:`, error.message);
+        }
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const poller = new Poller(config.poller);
@@ -0,0 +1,233 @@
+/**
+ * History store module
+ * Records ELO snapshots and match results for tracked players in a
+ * JSON-lines file so ELO over time survives restarts
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from '../config/index.js';
+
+// An unchanged ELO is only recorded again after this long
+const UNCHANGED_ELO_INTERVAL = 30 * 60 * 1000;
+
+class HistoryStore {
+  /**
+   * @param {string} filePath - JSON-lines file where records are appended
+   * @param {number} retentionDays - Records older than this are dropped on startup
+   */
+  constructor(filePath, retentionDays) {
+    this.filePath = filePath;
+    this.retention = retentionDays * 24 * 60 * 60 * 1000;
+    // Map of player ID -> { elo: [{ elo, at }], matches: Map(matchId -> { win, finishedAt }) }
+    this.players = new Map();
+    // Lines waiting to be appended to the file
+    this.pendingLines = [];
+    this.persistTimer = null;
+    this.load();
+  }
+
+  /**
+   * Get (or create) the in-memory history of a player
+   * @param {string} playerId - Player ID
+   * @returns {Object} Player history { elo, matches }
+   */
+  getPlayer(playerId) {
+    if (!this.players.has(playerId)) {
+      this.players.set(playerId, { elo: [], matches: new Map() });
+    }
+    return this.players.get(playerId);
+  }
+
+  /**
+   * Add a record to the in-memory history
+   * @param {Object} record - { type: 'elo', playerId, elo, at } or { type: 'match', playerId, matchId, win, finishedAt }
+   */
+  apply(record) {
+    const player = this.getPlayer(record.playerId);
+
+    if (record.type === 'elo') {
+      player.elo.push({ elo: record.elo, at: record.at });
+    } else if (record.type === 'match') {
+      player.matches.set(record.matchId, { win: record.win, finishedAt: record.finishedAt });
+    }
+  }
+
+  /**
+   * Load records from disk, dropping the ones past the retention period
+   * (missing file means no history yet)
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load history:', error.message);
+      }
+      return;
+    }
+
+    const cutoff = Date.now() - this.retention;
+    const kept = [];
+    let dropped = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const record = JSON.parse(line);
+        if ((record.at ?? record.finishedAt) < cutoff) {
+          dropped++;
+          continue;
+        }
+        this.apply(record);
+        kept.push(line);
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        dropped++;
+      }
+    }
+
+    // Compact the file so it does not grow forever
+    if (dropped > 0) {
+      try {
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, kept.map(line => `${line}\n`).join(''));
+        fs.renameSync(tempPath, this.filePath);
+      } catch (error) {
+        console.error('Failed to compact history:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Add a record and queue it for writing
+   * Writes to disk are batched (at most one per second)
+   * @param {Object} record - Record (see apply)
+   */
+  append(record) {
+    this.apply(record);
+    this.pendingLines.push(JSON.stringify(record));
+
+    if (!this.persistTimer) {
+      this.persistTimer = setTimeout(() => {
+        this.persistTimer = null;
+        this.persist().catch(error => {
+          console.error('Failed to persist history:', error.message);
+        });
+      }, 1000);
+      // Never keep the process alive just to write history
+      this.persistTimer.unref();
+    }
+  }
+
+  /**
+   * Append pending records to disk
+   */
+  async persist() {
+    const lines = this.pendingLines.splice(0);
+    if (lines.length === 0) return;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, lines.map(line => `${line}\n`).join(''));
+  }
+
+  /**
+   * Write pending records synchronously (used on shutdown)
+   */
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    const lines = this.pendingLines.splice(0);
+    if (lines.length === 0) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, lines.map(line => `${line}\n`).join(''));
+    } catch (error) {
+      console.error('Failed to persist history:', error.message);
+    }
+  }
+
+  /**
+   * Record the current ELO of a player
+   * Unchanged values are recorded at most every 30 minutes
+   * @param {string} playerId - Player ID
+   * @param {number} elo - Current ELO
+   */
+  recordElo(playerId, elo) {
+    const now = Date.now();
+    const last = this.getPlayer(playerId).elo.at(-1);
+
+    if (last && last.elo === elo && now - last.at < UNCHANGED_ELO_INTERVAL) {
+      return;
+    }
+
+    this.append({ type: 'elo', playerId, elo, at: now });
+  }
+
+  /**
+   * Record match results of a player (already known matches are skipped)
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Results: [{ matchId, win, finishedAt }]
+   */
+  recordMatches(playerId, matches) {
+    const known = this.getPlayer(playerId).matches;
+
+    for (const { matchId, win, finishedAt } of matches) {
+      if (!known.has(matchId)) {
+        this.append({ type: 'match', playerId, matchId, win, finishedAt });
+      }
+    }
+  }
+
+  /**
+   * Get the last ELO recorded for a player within a time window
+   * @param {string} playerId - Player ID
+   * @param {number} after - Start of the window (exclusive, ms)
+   * @param {number} before - End of the window (exclusive, ms)
+   * @returns {Object|null} { elo, at } or null if nothing was recorded
+   */
+  getEloBetween(playerId, after, before) {
+    const records = this.players.get(playerId)?.elo || [];
+    return records.findLast(record => record.at > after && record.at < before) || null;
+  }
+
+  /**
+   * Get ELO change, peak and results of a player since a point in time
+   * @param {string} playerId - Player ID
+   * @param {number} since - Start of the period (ms)
+   * @returns {Object|null} Summary { startElo, endElo, eloChange, peakElo, wins, losses, firstRecordAt } or null without ELO records
+   */
+  getSummary(playerId, since) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    const inPeriod = player.elo.filter(record => record.at >= since);
+    if (inPeriod.length === 0) return null;
+
+    // The last ELO before the period is the best baseline, if there is one
+    const baseline = player.elo.findLast(record => record.at < since) || inPeriod[0];
+    const endElo = inPeriod.at(-1).elo;
+    const matches = [...player.matches.values()].filter(match => match.finishedAt >= since);
+    const wins = matches.filter(match => match.win).length;
+
+    return {
+      startElo: baseline.elo,
+      endElo,
+      eloChange: endElo - baseline.elo,
+      peakElo: Math.max(baseline.elo, ...inPeriod.map(record => record.elo)),
+      wins,
+      losses: matches.length - wins,
+      firstRecordAt: baseline.at
+    };
+  }
+}
+
+// Export singleton instance
+export const historyStore = new HistoryStore(
+  path.join(config.storage.dataDir, 'history.jsonl'),
+  config.storage.historyRetentionDays
+);
@@ -0,0 +1,96 @@
+/**
+ * Snapshot store module
+ * Keeps the last known good /elo data per player on disk so the bot can
+ * still answer (flagged as old data) while FACEIT is unavailable
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from '../config/index.js';
+
+class SnapshotStore {
+  /**
+   * @param {string} filePath - JSON file where snapshots are persisted
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Map of player key (lowercase nickname) -> { ...data, takenAt }
+    this.snapshots = new Map();
+    this.persistTimer = null;
+    this.load();
+  }
+
+  /**
+   * Load snapshots from disk (missing file means no snapshots yet)
+   */
+  load() {
+    try {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      this.snapshots = new Map(Object.entries(JSON.parse(content)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load snapshots:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get the last known good snapshot for a player
+   * @param {string} key - Player key (lowercase nickname)
+   * @returns {Object|null} Snapshot { ...data, takenAt } or null if missing
+   */
+  get(key) {
+    return this.snapshots.get(key) || null;
+  }
+
+  /**
+   * Save a snapshot for a player
+   * Writes to disk are batched (at most one per second)
+   * @param {string} key - Player key (lowercase nickname)
+   * @param {Object} data - Snapshot data
+   */
+  save(key, data) {
+    this.snapshots.set(key, { ...data, takenAt: Date.now() });
+
+    if (!this.persistTimer) {
+      this.persistTimer = setTimeout(() => {
+        this.persistTimer = null;
+        this.persist().catch(error => {
+          console.error('Failed to persist snapshots:', error.message);
+        });
+      }, 1000);
+      // Never keep the process alive just to write snapshots
+      this.persistTimer.unref();
+    }
+  }
+
+  /**
+   * Write snapshots to disk (temp file + rename so a crash never leaves a half-written file)
+   */
+  async persist() {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.snapshots)));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Write pending snapshots synchronously (used on shutdown)
+   */
+  flush() {
+    if (!this.persistTimer) return;
+
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.snapshots)));
+    } catch (error) {
+      console.error('Failed to persist snapshots:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+export const snapshotStore = new SnapshotStore(path.join(config.storage.dataDir, 'snapshots.json'));
@@ -1,92 +1,265 @@
 /**
  * Cache utility module
- * Provides a simple in-memory cache with TTL support
+ * Provides a cache with per-namespace TTLs, stale-while-revalidate and
+ * request coalescing on top of a pluggable backend (in-memory LRU or Redis)
  */
 
-class Cache {
-  constructor() {
-    this.store = {
-      elo: { data: null, lastUpdate: 0 },
-      stats: { data: null, lastUpdate: 0 },
-      streak: { data: null, lastUpdate: 0 }
+import { config } from '../config/index.js';
+import { createCacheBackend, MemoryCacheBackend } from './cacheBackends/index.js';
+
+export class Cache {
+  /**
+   * @param {Object} backend - Cache backend (see cacheBackends/index.js)
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Default time to live in milliseconds
+   * @param {number} options.staleTtl - How long an expired entry may still be served while revalidating
+   * @param {Object} options.namespaces - TTL overrides by key namespace (e.g. { elo: 30000 })
+   */
+  constructor(backend, { ttl, staleTtl, namespaces = {} }) {
+    this.backend = backend;
+    this.ttl = ttl;
+    this.staleTtl = staleTtl;
+    this.namespaces = namespaces;
+
+    // In-flight fetches by key, shared by concurrent callers of this instance
+    this.pending = new Map();
+
+    this.counters = {
+      hits: 0,
+      misses: 0,
+      staleHits: 0,
+      coalesced: 0,
+      refreshErrors: 0,
+      backendErrors: 0
     };
   }
 
+  /**
+   * Get the TTL for a key based on its namespace (text before the first ':')
+   * @param {string} key - Cache key
+   * @returns {number} Time to live in milliseconds
+   */
+  getTtl(key) {
+    const namespace = key.split(':')[0];
+    return this.namespaces[namespace] ?? this.ttl;
+  }
+
+  /**
+   * Get a cache entry without touching counters
+   * Backend failures are treated as a miss so chat keeps working
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry { data, lastUpdate } or null if missing
+   */
+  async peek(key) {
+    try {
+      return await this.backend.get(key);
+    } catch (error) {
+      this.counters.backendErrors++;
+      console.error(`Cache backend read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Get cached data if not expired
    * @param {string} key - Cache key
-   * @param {number} ttl - Time to live in milliseconds
-   * @returns {any|null} Cached data or null if expired/missing
+   * @param {number} [ttl] - Time to live in milliseconds (defaults to namespace TTL)
+   * @returns {Promise<any|null>} Cached data or null if expired/missing
    */
-  get(key, ttl) {
-    const cached = this.store[key];
-    if (!cached || !cached.data) {
+  async get(key, ttl = this.getTtl(key)) {
+    const cached = await this.peek(key);
+    if (!cached || Date.now() - cached.lastUpdate > ttl) {
+      this.counters.misses++;
       return null;
     }
 
-    const now = Date.now();
-    const isExpired = now - cached.lastUpdate > ttl;
-    
-    return isExpired ? null : cached.data;
+    this.counters.hits++;
+    return cached.data;
   }
 
   /**
    * Set cached data
+   * The backend keeps it for TTL + staleTtl so it can be served stale
    * @param {string} key - Cache key
    * @param {any} data - Data to cache
+   * @param {number} [ttl] - Time to live in milliseconds (defaults to namespace TTL)
    */
-  set(key, data) {
-    this.store[key] = {
-      data,
-      lastUpdate: Date.now()
-    };
+  async set(key, data, ttl = this.getTtl(key)) {
+    try {
+      await this.backend.set(key, { data, lastUpdate: Date.now() }, ttl + this.staleTtl);
+    } catch (error) {
+      this.counters.backendErrors++;
+      console.error(`Cache backend write failed for ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Look up a key and classify the entry, updating hit/miss counters
+   * - hit: younger than ttl
+   * - stale: expired but within staleTtl (can be served while revalidating)
+   * - miss: missing or too old
+   * @param {string} key - Cache key
+   * @param {Object} [options] - Overrides: { ttl, staleTtl }
+   * @returns {Promise<Object>} Lookup result { state, data, age }
+   */
+  async lookup(key, { ttl = this.getTtl(key), staleTtl = this.staleTtl } = {}) {
+    const cached = await this.peek(key);
+    const age = cached ? Date.now() - cached.lastUpdate : Infinity;
+
+    if (age <= ttl) {
+      this.counters.hits++;
+      return { state: 'hit', data: cached.data, age };
+    }
+
+    if (age <= ttl + staleTtl) {
+      this.counters.staleHits++;
+      return { state: 'stale', data: cached.data, age };
+    }
+
+    this.counters.misses++;
+    return { state: 'miss', data: null, age: null };
+  }
+
+  /**
+   * Refresh a key in the background, logging failures instead of throwing
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function returning the data to cache
+   * @param {number} [ttl] - Time to live in milliseconds (defaults to namespace TTL)
+   */
+  revalidate(key, fetcher, ttl) {
+    this.refresh(key, fetcher, ttl).catch(error => {
+      this.counters.refreshErrors++;
+      console.error(`Cache refresh failed for ${key}:`, error.message);
+    });
   }
 
   /**
-   * Clear specific cache key or all cache
-   * @param {string} [key] - Optional cache key to clear
+   * Get cached data or load it with the fetcher
+   * - Fresh entry: returned immediately
+   * - Expired entry within staleTtl: returned immediately, refreshed in the background
+   * - Missing entry: fetched (concurrent callers share the same fetch)
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function returning the data to cache
+   * @param {Object} [options] - Overrides: { ttl, staleTtl }
+   * @returns {Promise<any>} Cached or fetched data
    */
-  clear(key) {
-    if (key) {
-      this.store[key] = { data: null, lastUpdate: 0 };
-    } else {
-      Object.keys(this.store).forEach(k => {
-        this.store[k] = { data: null, lastUpdate: 0 };
-      });
+  async wrap(key, fetcher, { ttl = this.getTtl(key), staleTtl = this.staleTtl } = {}) {
+    const { state, data } = await this.lookup(key, { ttl, staleTtl });
+
+    if (state === 'stale') {
+      this.revalidate(key, fetcher, ttl);
     }
+
+    if (state !== 'miss') {
+      return data;
+    }
+
+    return this.refresh(key, fetcher, ttl);
+  }
+
+  /**
+   * Fetch fresh data for a key, coalescing concurrent calls into one fetch
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function returning the data to cache
+   * @param {number} [ttl] - Time to live in milliseconds (defaults to namespace TTL)
+   * @returns {Promise<any>} Fetched data
+   */
+  refresh(key, fetcher, ttl) {
+    if (this.pending.has(key)) {
+      this.counters.coalesced++;
+      return this.pending.get(key);
+    }
+
+    const request = Promise.resolve()
+      .then(fetcher)
+      .then(async data => {
+        await this.set(key, data, ttl);
+        return data;
+      })
+      .finally(() => this.pending.delete(key));
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  /**
+   * Clear specific cache key, keys starting with a prefix, or all cache
+   * @param {string} [key] - Optional cache key (or prefix ending with '*') to clear
+   */
+  async clear(key) {
+    try {
+      if (!key) {
+        await this.backend.clear();
+      } else if (key.endsWith('*')) {
+        await this.backend.clear(key.slice(0, -1));
+      } else {
+        await this.backend.delete(key);
+      }
+    } catch (error) {
+      this.counters.backendErrors++;
+      console.error(`Cache backend clear failed for ${key || 'all keys'}:`, error.message);
+    }
+  }
+
+  /**
+   * Get cache counters and backend statistics
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async getStats() {
+    const { hits, misses, staleHits } = this.counters;
+    const lookups = hits + misses + staleHits;
+    const backendStats = await this.backend.getStats().catch(error => ({ error: error.message }));
+
+    return {
+      ...this.counters,
+      hitRate: lookups > 0 ? Number(((hits + staleHits) / lookups).toFixed(2)) : 0,
+      pending: this.pending.size,
+      ...backendStats
+    };
   }
 }
 
+// Backend for response caching (also session tracking with Redis)
+const backend = createCacheBackend(config.cache);
+
 // Export singleton instance
-export const cache = new Cache();
+export const cache = new Cache(backend, config.cache);
 
 /**
  * Session ELO Cache
  * Stores the initial ELO for each player's session to calculate accurate ELO diff
+ * Stored in the cache backend so every instance sees the same session
  */
-class SessionEloCache {
-  constructor() {
-    // Map of playerId -> { sessionStartTime, initialElo }
-    this.sessions = new Map();
+export class SessionEloCache {
+  /**
+   * @param {Object} backend - Cache backend (see cacheBackends/index.js)
+   */
+  constructor(backend) {
+    // Keys: session:<playerId> -> { data: { sessionStartTime, initialElo, exact, createdAt } }
+    //       elo-seen:<playerId> -> { data: { elo, seenAt } }
+    this.backend = backend;
+    // Sessions never last longer than a day
+    this.maxAge = 24 * 60 * 60 * 1000;
   }
 
   /**
    * Get session data for a player
    * @param {string} playerId - Player ID
    * @param {number} sessionStartTime - Timestamp of first match in session
-   * @returns {Object|null} Session data or null if not found/different session
+   * @returns {Promise<Object|null>} Session data or null if not found/different session
    */
-  getSession(playerId, sessionStartTime) {
-    const session = this.sessions.get(playerId);
+  async getSession(playerId, sessionStartTime) {
+    const entry = await this.backend.get(`session:${playerId}`);
+    const session = entry?.data;
     if (!session) return null;
-    
+
     // Check if it's the same session (same start time)
     if (session.sessionStartTime === sessionStartTime) {
       return session;
     }
-    
+
     // Different session, clear old data
-    this.sessions.delete(playerId);
+    await this.clearSession(playerId);
     return null;
   }
 
@@ -95,24 +268,54 @@ class SessionEloCache {
    * @param {string} playerId - Player ID
    * @param {number} sessionStartTime - Timestamp of first match in session
    * @param {number} initialElo - ELO at the start of the session
+   * @param {boolean} [exact=true] - False when initialElo is only the first ELO seen during the session
    */
-  setSession(playerId, sessionStartTime, initialElo) {
-    this.sessions.set(playerId, {
+  async setSession(playerId, sessionStartTime, initialElo, exact = true) {
+    const session = {
       sessionStartTime,
       initialElo,
+      exact,
       createdAt: Date.now()
-    });
+    };
+
+    await this.backend.set(`session:${playerId}`, { data: session, lastUpdate: session.createdAt }, this.maxAge);
   }
 
   /**
    * Clear session data for a player
    * @param {string} playerId - Player ID
    */
-  clearSession(playerId) {
-    this.sessions.delete(playerId);
+  async clearSession(playerId) {
+    await this.backend.delete(`session:${playerId}`);
+  }
+
+  /**
+   * Record the ELO the bot has just seen for a player
+   * Used later to find the exact ELO at the start of a session
+   * @param {string} playerId - Player ID
+   * @param {number} elo - Current ELO
+   */
+  async recordElo(playerId, elo) {
+    const seenAt = Date.now();
+    await this.backend.set(`elo-seen:${playerId}`, { data: { elo, seenAt }, lastUpdate: seenAt }, 2 * this.maxAge);
+  }
+
+  /**
+   * Get the last ELO the bot has seen for a player
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object|null>} { elo, seenAt } or null if never seen
+   */
+  async getLastSeenElo(playerId) {
+    const entry = await this.backend.get(`elo-seen:${playerId}`);
+    return entry?.data || null;
   }
 }
 
-// Export singleton instance
-export const sessionEloCache = new SessionEloCache();
+// In memory, sessions get their own store so a burst of distinct responses never
+// evicts them; Redis keeps every key until it expires, so the client is shared
+const sessionBackend = config.cache.backend === 'memory'
+  ? new MemoryCacheBackend({ maxEntries: config.cache.sessionMaxEntries })
+  : backend;
 
+// Export singleton instance
+export const sessionEloCache = new SessionEloCache(sessionBackend);
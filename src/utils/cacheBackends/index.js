@@ -0,0 +1,29 @@
+/**
+ * Cache backend factory
+ * Every backend implements the same async interface:
+ * get(key), set(key, entry, maxAge), delete(key), clear(prefix), getStats(), close()
+ */
+
+import { MemoryCacheBackend } from './memory.js';
+import { RedisCacheBackend } from './redis.js';
+
+/**
+ * Create the cache backend selected in config (CACHE_BACKEND)
+ * @param {Object} cacheConfig - Cache configuration
+ * @returns {MemoryCacheBackend|RedisCacheBackend} Cache backend
+ */
+export function createCacheBackend(cacheConfig) {
+  switch (cacheConfig.backend) {
+    case 'redis':
+      return new RedisCacheBackend({
+        url: cacheConfig.redisUrl,
+        prefix: cacheConfig.redisPrefix
+      });
+    case 'memory':
+      return new MemoryCacheBackend({ maxEntries: cacheConfig.maxEntries });
+    default:
+      throw new Error(`Unknown cache backend: ${cacheConfig.backend}`);
+  }
+}
+
+export { MemoryCacheBackend, RedisCacheBackend };
@@ -0,0 +1,97 @@
+/**
+ * In-memory cache backend
+ * Bounded LRU store used by default (single instance deployments)
+ */
+
+export class MemoryCacheBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {number} options.maxEntries - Maximum number of keys before evicting the least recently used
+   */
+  constructor({ maxEntries }) {
+    this.maxEntries = maxEntries;
+    this.evictions = 0;
+
+    // Map keeps insertion order: first key is the least recently used
+    this.store = new Map();
+  }
+
+  /**
+   * Get an entry and mark it as most recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry { data, lastUpdate } or null if missing/expired
+   */
+  async get(key) {
+    const stored = this.store.get(key);
+    if (!stored) return null;
+
+    if (stored.expiresAt && stored.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+
+    this.store.delete(key);
+    this.store.set(key, stored);
+    return stored.entry;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used keys when full
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry { data, lastUpdate }
+   * @param {number} [maxAge] - Milliseconds after which the entry can be dropped
+   */
+  async set(key, entry, maxAge) {
+    this.store.delete(key);
+    this.store.set(key, {
+      entry,
+      expiresAt: maxAge ? Date.now() + maxAge : null
+    });
+
+    while (this.store.size > this.maxEntries) {
+      const oldestKey = this.store.keys().next().value;
+      this.store.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Delete a key
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.store.delete(key);
+  }
+
+  /**
+   * Delete every key starting with a prefix (all keys if empty)
+   * @param {string} [prefix] - Key prefix
+   */
+  async clear(prefix = '') {
+    if (!prefix) {
+      this.store.clear();
+      return;
+    }
+
+    for (const key of [...this.store.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get backend statistics
+   * @returns {Promise<Object>} Stats: backend, size, maxEntries, evictions
+   */
+  async getStats() {
+    return {
+      backend: 'memory',
+      size: this.store.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions
+    };
+  }
+
+  async close() {}
+}
@@ -0,0 +1,110 @@
+/**
+ * Redis cache backend
+ * Shares cached responses and session data between instances
+ * Works with any Redis-protocol server (Redis, Valkey, KeyDB, Dragonfly...)
+ */
+
+import Redis from 'ioredis';
+
+export class RedisCacheBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} [options.url] - Redis connection URL (redis://host:6379/0)
+   * @param {string} [options.prefix] - Prefix added to every key
+   * @param {Object} [options.client] - Existing ioredis-compatible client (e.g. an in-process fake for tests)
+   */
+  constructor({ url, prefix = '', client } = {}) {
+    this.prefix = prefix;
+    this.client = client || new Redis(url, {
+      // Fail fast so a Redis outage degrades to cache misses instead of hanging chat commands
+      maxRetriesPerRequest: 1,
+      connectTimeout: 2000
+    });
+
+    this.client.on?.('error', error => {
+      console.error('Redis cache error:', error.message);
+    });
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry { data, lastUpdate } or null if missing
+   */
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry { data, lastUpdate }
+   * @param {number} [maxAge] - Milliseconds after which Redis drops the key
+   */
+  async set(key, entry, maxAge) {
+    const value = JSON.stringify(entry);
+
+    if (maxAge) {
+      await this.client.set(this.prefix + key, value, 'PX', Math.ceil(maxAge));
+    } else {
+      await this.client.set(this.prefix + key, value);
+    }
+  }
+
+  /**
+   * Delete a key
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  /**
+   * Find every key starting with a prefix using SCAN (never blocks Redis like KEYS)
+   * @param {string} prefix - Key prefix (without the backend prefix)
+   * @returns {Promise<Array<string>>} Full Redis keys
+   */
+  async scanKeys(prefix) {
+    const pattern = `${this.prefix}${prefix}*`;
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = nextCursor;
+      keys.push(...batch);
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  /**
+   * Delete every key starting with a prefix (all bot keys if empty)
+   * @param {string} [prefix] - Key prefix
+   */
+  async clear(prefix = '') {
+    const keys = await this.scanKeys(prefix);
+
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+
+  /**
+   * Get backend statistics
+   * @returns {Promise<Object>} Stats: backend, size
+   */
+  async getStats() {
+    const keys = await this.scanKeys('');
+
+    return {
+      backend: 'redis',
+      size: keys.length
+    };
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
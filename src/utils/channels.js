@@ -0,0 +1,261 @@
+/**
+ * Channel registry module
+ * Lets one instance serve many streams: each channel (taken from /c/<channel>/...
+ * or the bot context, see botContext.js) brings its own default player,
+ * language, session settings, output templates and linked viewer accounts
+ */
+
+import fs from 'node:fs';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { config, validateSessionSettings } from '../config/index.js';
+import { SUPPORTED_LANGUAGES } from '../i18n/index.js';
+import { UsageError } from '../middlewares/errorHandler.js';
+
+const storage = new AsyncLocalStorage();
+
+// Map of channel key (lowercase) -> channel settings
+let channels = new Map();
+
+/**
+ * Validate the settings of a channel
+ * @param {string} key - Channel key
+ * @param {Object} channel - Channel settings
+ * @throws {Error} When a setting is invalid
+ */
+function validateChannel(key, channel) {
+  if (!channel || typeof channel !== 'object') {
+    throw new Error(`Invalid settings for channel ${key}`);
+  }
+
+  if (typeof channel.player !== 'string' || !channel.player.trim()) {
+    throw new Error(`Missing player for channel ${key}`);
+  }
+
+  if (channel.lang && !SUPPORTED_LANGUAGES.includes(channel.lang)) {
+    throw new Error(`Invalid language for channel ${key}: ${channel.lang}`);
+  }
+
+  if (channel.templates && typeof channel.templates !== 'object') {
+    throw new Error(`Invalid templates for channel ${key}`);
+  }
+
+  if (channel.accounts && (typeof channel.accounts !== 'object'
+    || !Object.values(channel.accounts).every(player => typeof player === 'string' && player.trim()))) {
+    throw new Error(`Invalid accounts for channel ${key}`);
+  }
+
+  if (channel.webhook !== undefined && !/^https?:\/\//.test(channel.webhook)) {
+    throw new Error(`Invalid webhook for channel ${key}`);
+  }
+
+  if (channel.commands && !Array.isArray(channel.commands)) {
+    throw new Error(`Invalid commands for channel ${key}`);
+  }
+
+  validateSessionSettings(`channel ${key}`, channel);
+}
+
+/**
+ * Load the channel registry from disk (missing file means a single-channel setup)
+ * @throws {Error} When the file is invalid
+ */
+export function loadChannels() {
+  let content;
+  try {
+    content = fs.readFileSync(config.channels.file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw new Error(`Failed to read ${config.channels.file}: ${error.message}`);
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${config.channels.file}: ${error.message}`);
+  }
+
+  for (const [key, channel] of Object.entries(registry)) {
+    validateChannel(key, channel);
+  }
+
+  channels = new Map(Object.entries(registry).map(([key, channel]) => [key.toLowerCase(), {
+    ...channel,
+    // Twitch logins are lowercase, so are chat mentions once normalized
+    accounts: Object.fromEntries(
+      Object.entries(channel.accounts || {}).map(([viewer, player]) => [viewer.toLowerCase(), player.trim()])
+    )
+  }]));
+}
+
+/**
+ * Get the settings of a channel
+ * @param {string} key - Channel key
+ * @returns {Object|null} Channel settings or null if not registered
+ */
+export function getChannel(key) {
+  return channels.get(key.toLowerCase()) || null;
+}
+
+/**
+ * Run a function in the context of a channel
+ * Everything it calls sees the channel's default player, language and templates
+ * @param {Object} context - { key, command, viewer, fromPath } (unknown or missing key: global defaults)
+ * @param {Function} fn - Function to run
+ * @returns {any} Function result
+ */
+export function runInChannel({ key, command = null, viewer = null, fromPath = false }, fn) {
+  const channel = key ? getChannel(key) : null;
+  return storage.run({ key: channel ? key.toLowerCase() : null, channel, command, viewer, fromPath }, fn);
+}
+
+/**
+ * Check if a command is enabled in the current channel (see the "commands" setting)
+ * @returns {boolean} True unless the channel restricts commands and this one is not listed
+ */
+export function isCommandEnabled() {
+  const context = getCurrentChannel();
+  return !context?.channel.commands || !context.command || context.channel.commands.includes(context.command);
+}
+
+/**
+ * Channel middleware
+ * Resolves the channel from the /c/<channel> path segment (unknown channels
+ * get an error message) or the bot context (unknown channels use the global
+ * defaults), checks the command is enabled for it, then makes the channel and
+ * the viewer available to the rest of the request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function channelMiddleware(req, res, next) {
+  const pathChannel = req.params.channel;
+
+  if (pathChannel && !getChannel(pathChannel)) {
+    return next(new UsageError('errors.unknownChannel'));
+  }
+
+  const context = {
+    key: pathChannel || req.bot?.channel,
+    // Command name (e.g. "elo") selects the channel's output template
+    command: req.path.split('/')[1] || null,
+    viewer: req.bot?.user?.name || null,
+    // Registered /c/<channel> path, unlike the bot context that any request can claim
+    fromPath: Boolean(pathChannel)
+  };
+
+  runInChannel(context, () => {
+    next(isCommandEnabled() ? undefined : new UsageError('errors.commandDisabled'));
+  });
+}
+
+/**
+ * Get the channel of the current request
+ * @returns {Object|null} { key, channel, command, viewer, fromPath } or null outside of a channel request
+ */
+export function getCurrentChannel() {
+  const context = storage.getStore();
+  return context?.channel ? context : null;
+}
+
+/**
+ * Get the FACEIT account a viewer linked in the current channel
+ * @param {string} viewer - Twitch login
+ * @returns {string|null} FACEIT player or null if not linked
+ */
+export function getLinkedAccount(viewer) {
+  return getCurrentChannel()?.channel.accounts[viewer.toLowerCase()] || null;
+}
+
+/**
+ * List the registered channels
+ * @returns {Array<string>} Channel keys (lowercase)
+ */
+export function listChannels() {
+  return [...channels.keys()];
+}
+
+/**
+ * Get the default player of the current request
+ * (linked account of the viewer, channel player or PLAYER_NICKNAME)
+ * @returns {string} Default player nickname
+ */
+export function getDefaultPlayer() {
+  const context = getCurrentChannel();
+  const player = (context?.viewer && getLinkedAccount(context.viewer)) || context?.channel.player.trim();
+
+  return player?.toLowerCase() || config.faceit.defaultPlayer;
+}
+
+/**
+ * Resolve the player a command asks for
+ * - Empty: default player (see getDefaultPlayer)
+ * - "@viewer": the FACEIT account linked by that viewer, or the name without '@'
+ * - Anything else: returned as-is
+ * @param {string} [query] - Raw player parameter
+ * @returns {string} Player query
+ */
+export function resolvePlayerParam(query) {
+  const value = query?.trim();
+  if (!value) return getDefaultPlayer();
+
+  if (value.startsWith('@') && value.length > 1) {
+    return getLinkedAccount(value.slice(1)) || value.slice(1);
+  }
+
+  return value;
+}
+
+/**
+ * Get the channel's output template for the current command
+ * @returns {string|null} Template or null if the channel has none
+ */
+export function getChannelTemplate() {
+  const context = getCurrentChannel();
+  return context?.channel.templates?.[context.command] || null;
+}
+
+/**
+ * Get the channels whose default player is a given player
+ * @param {string} nickname - Player nickname
+ * @returns {Array<Object>} Channels: [{ key, channel }]
+ */
+export function getPlayerChannels(nickname) {
+  return [...channels.entries()]
+    .filter(([, channel]) => channel.player.trim().toLowerCase() === nickname.toLowerCase())
+    .map(([key, channel]) => ({ key, channel }));
+}
+
+/**
+ * Check if the bot follows a player (PLAYER_NICKNAME or the player of a channel)
+ * @param {string} nickname - Player nickname
+ * @returns {boolean} True if the player is tracked
+ */
+export function isTrackedPlayer(nickname) {
+  return nickname.toLowerCase() === config.faceit.defaultPlayer || getPlayerChannels(nickname).length > 0;
+}
+
+/**
+ * List the players the bot follows: PLAYER_NICKNAME and the player of every channel
+ * @returns {Array<string>} Nicknames (lowercase, no duplicates)
+ */
+export function getTrackedPlayers() {
+  const players = [...channels.values()].map(({ player }) => player.trim().toLowerCase());
+  return [...new Set([config.faceit.defaultPlayer, ...players])];
+}
+
+/**
+ * Get session settings declared by the channel of a player
+ * (timezone, startHour, mode and inactivityHours in the channel settings)
+ * @param {string} nickname - Player nickname
+ * @returns {Object|null} Session settings or null if no channel has this player
+ */
+export function getChannelSessionSettings(nickname) {
+  const channel = getPlayerChannels(nickname)[0]?.channel;
+  if (!channel) return null;
+
+  const { timezone, startHour, mode, inactivityHours } = channel;
+  return Object.fromEntries(
+    Object.entries({ timezone, startHour, mode, inactivityHours }).filter(([, value]) => value !== undefined)
+  );
+}
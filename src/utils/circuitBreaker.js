@@ -0,0 +1,82 @@
+/**
+ * Circuit breaker module
+ * Stops calling an upstream host after repeated failures, then lets a
+ * single trial request through once the reset timeout has passed
+ */
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeout - Milliseconds to wait before a trial request
+   */
+  constructor({ failureThreshold, resetTimeout }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed'; // closed -> open -> half-open -> closed
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  /**
+   * Check if a request may be sent
+   * Moves an open breaker to half-open once the reset timeout has passed
+   * @returns {boolean} True if the request may go through
+   */
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      // Let exactly one trial request through
+      this.state = 'half-open';
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request (closes the breaker)
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+  }
+
+  /**
+   * Record a failed request (opens the breaker past the threshold or after a failed trial)
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Record a request that says nothing about the host's health (rate limited,
+   * deadline exceeded...): a trial request gives its slot to the next request
+   */
+  recordNeutral() {
+    if (this.state === 'half-open') {
+      // openedAt is past the reset timeout, so canRequest lets the next trial through
+      this.state = 'open';
+    }
+  }
+
+  /**
+   * Get breaker status
+   * @returns {Object} Status: state, failures, openedAt
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt || null
+    };
+  }
+}
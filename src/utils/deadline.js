@@ -0,0 +1,40 @@
+/**
+ * Request deadline module
+ * Tracks a time budget per incoming request so upstream calls (and their
+ * retries) give up in time for the response to reach the chat bot
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Deadline middleware factory
+ * Every async call made while handling the request can read the remaining budget
+ * @param {number} budgetMs - Time budget in milliseconds
+ * @returns {Function} Express middleware
+ */
+export function deadlineMiddleware(budgetMs) {
+  return (req, res, next) => {
+    storage.run({ expiresAt: Date.now() + budgetMs }, next);
+  };
+}
+
+/**
+ * Run a function with its own deadline (e.g. background jobs)
+ * @param {number} budgetMs - Time budget in milliseconds
+ * @param {Function} fn - Function to run
+ * @returns {any} Function result
+ */
+export function withDeadline(budgetMs, fn) {
+  return storage.run({ expiresAt: Date.now() + budgetMs }, fn);
+}
+
+/**
+ * Get the remaining time budget of the current request
+ * @returns {number} Milliseconds left (Infinity outside of a request)
+ */
+export function getRemainingTime() {
+  const context = storage.getStore();
+  return context ? context.expiresAt - Date.now() : Infinity;
+}
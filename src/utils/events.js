@@ -0,0 +1,19 @@
+/**
+ * Event bus module
+ * Match events shared by everything that reacts to them (chat announcements,
+ * overlays...), whatever noticed the match first
+ *
+ * Events:
+ * - match:ready     { matchId, playerId, nickname, team, opponent }
+ * - match:finished  { matchId, playerId, nickname, elo, level, eloChange, wins, losses }
+ *   (eloChange is the ELO won or lost in the match, null if unknown)
+ */
+
+import { EventEmitter } from 'node:events';
+
+// Export singleton instance
+// Listeners are async and handle their own errors
+export const events = new EventEmitter();
+
+// Every open overlay listens, so there is no sensible listener limit
+events.setMaxListeners(0);
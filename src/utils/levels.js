@@ -0,0 +1,46 @@
+/**
+ * FACEIT levels module
+ * CS2 skill level thresholds and progress between levels
+ */
+
+// Minimum ELO of each CS2 FACEIT level (level 10 has no upper bound) and the color of its icon
+export const LEVELS = [
+  { level: 1, minElo: 100, color: '#eeeeee' },
+  { level: 2, minElo: 501, color: '#1ce400' },
+  { level: 3, minElo: 751, color: '#1ce400' },
+  { level: 4, minElo: 901, color: '#ffc800' },
+  { level: 5, minElo: 1051, color: '#ffc800' },
+  { level: 6, minElo: 1201, color: '#ffc800' },
+  { level: 7, minElo: 1351, color: '#ffc800' },
+  { level: 8, minElo: 1531, color: '#ff6309' },
+  { level: 9, minElo: 1751, color: '#ff6309' },
+  { level: 10, minElo: 2001, color: '#fe1f00' }
+];
+
+/**
+ * Get the level for an ELO
+ * @param {number} elo - ELO
+ * @returns {number} Level (1-10)
+ */
+export function getLevelForElo(elo) {
+  return LEVELS.findLast(level => elo >= level.minElo)?.level ?? 1;
+}
+
+/**
+ * Get the progress of an ELO within its level
+ * @param {number} elo - ELO
+ * @returns {Object} { level, nextLevel, eloToNext, eloToDrop }
+ *   nextLevel/eloToNext are null at level 10, eloToDrop (ELO lost to drop a level) is null at level 1
+ */
+export function getLevelProgress(elo) {
+  const level = getLevelForElo(elo);
+  const current = LEVELS[level - 1];
+  const next = LEVELS[level];
+
+  return {
+    level,
+    nextLevel: next ? next.level : null,
+    eloToNext: next ? next.minElo - elo : null,
+    eloToDrop: level > 1 ? elo - current.minElo + 1 : null
+  };
+}
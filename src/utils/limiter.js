@@ -0,0 +1,35 @@
+/**
+ * Concurrency limiter module
+ * Caps how many async tasks run at the same time, queueing the rest
+ */
+
+export class ConcurrencyLimiter {
+  /**
+   * @param {number} maxConcurrent - Maximum number of tasks running at once
+   */
+  constructor(maxConcurrent) {
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a task as soon as a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<any>} Task result
+   */
+  async run(task) {
+    if (this.active >= this.maxConcurrent) {
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const nextTask = this.queue.shift();
+      if (nextTask) nextTask();
+    }
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Rate limiter module
+ * Token buckets: each key holds up to `burst` tokens, refilled at `perMinute`
+ * tokens per minute, and every allowed request spends one token
+ */
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.maxBuckets - Buckets kept in memory (least recently used are dropped)
+   */
+  constructor({ maxBuckets }) {
+    this.maxBuckets = maxBuckets;
+    // Map of key -> { tokens, updatedAt }, in least to most recently used order
+    this.buckets = new Map();
+  }
+
+  /**
+   * Get a bucket with the tokens refilled since its last use
+   * A dropped or new bucket starts full
+   * @param {string} key - Bucket key
+   * @param {Object} limit - { burst, perMinute }
+   * @param {number} now - Current timestamp
+   * @returns {Object} { tokens, updatedAt }
+   */
+  refill(key, { burst, perMinute }, now) {
+    const bucket = this.buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * perMinute / 60000);
+    bucket.updatedAt = now;
+
+    // Move to the most recently used position
+    this.buckets.delete(key);
+    this.buckets.set(key, bucket);
+
+    if (this.buckets.size > this.maxBuckets) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Spend one token from every bucket, only if all of them have one
+   * @param {Array<Object>} checks - { key, limit: { burst, perMinute } } for each bucket
+   * @returns {Object} { allowed, retryAfter } (milliseconds until every bucket has a token again)
+   */
+  take(checks) {
+    const now = Date.now();
+    const buckets = checks.map(({ key, limit }) => ({ bucket: this.refill(key, limit, now), limit }));
+
+    const retryAfter = Math.max(0, ...buckets.map(({ bucket, limit }) =>
+      bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * 60000 / limit.perMinute)
+    ));
+
+    if (retryAfter > 0) {
+      return { allowed: false, retryAfter };
+    }
+
+    for (const { bucket } of buckets) {
+      bucket.tokens -= 1;
+    }
+
+    return { allowed: true, retryAfter: 0 };
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Render utility module
+ * Shared rendering layer used by every route to turn response data
+ * into plain text, JSON or a user-defined template
+ */
+
+import { resolveLanguage } from '../i18n/index.js';
+import { getCurrentChannel, getChannelTemplate } from './channels.js';
+
+// Supported output formats (first one is the default)
+export const FORMATS = ['text', 'json'];
+
+// Upper bound for user-defined templates, keeps cache keys small
+const MAX_TEMPLATE_LENGTH = 300;
+
+/**
+ * Read the first value of a query parameter
+ * Express returns an array when a parameter is repeated (?format=a&format=b)
+ * @param {any} value - Raw query value
+ * @returns {string|null} String value or null
+ */
+export function firstQueryValue(value) {
+  if (Array.isArray(value)) {
+    value = value[0];
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Read a positive integer query parameter
+ * @param {any} value - Raw query value
+ * @param {number} defaultValue - Value when missing or invalid
+ * @param {number} max - Upper bound
+ * @returns {number} Integer between 1 and max
+ */
+export function parseCountParam(value, defaultValue, max) {
+  const count = parseInt(firstQueryValue(value), 10);
+  if (!Number.isFinite(count) || count < 1) {
+    return defaultValue;
+  }
+  return Math.min(count, max);
+}
+
+/**
+ * Extract render options from the request query
+ * - format: 'text' (default) or 'json'
+ * - tpl: template such as "{nickname} {elo} ({wins}W/{losses}L)"
+ * - lang: message catalog language (pt-BR, en, es)
+ * Missing tpl and lang fall back to the current channel's settings (see channels.js)
+ * @param {Object} query - Express request query
+ * @returns {Object} Render options: { format, template, lang }
+ */
+export function getRenderOptions(query = {}) {
+  const format = firstQueryValue(query.format)?.trim().toLowerCase();
+  const template = (firstQueryValue(query.tpl)?.trim() || getChannelTemplate())?.slice(0, MAX_TEMPLATE_LENGTH);
+
+  return {
+    format: FORMATS.includes(format) ? format : FORMATS[0],
+    template: template || null,
+    lang: resolveLanguage(firstQueryValue(query.lang) || getCurrentChannel()?.channel.lang)
+  };
+}
+
+/**
+ * Replace {placeholders} in a template with values from data
+ * Unknown placeholders are kept as-is so typos are easy to spot in chat
+ * @param {string} template - Template string
+ * @param {Object} data - Response data
+ * @returns {string} Rendered string
+ */
+export function renderTemplate(template, data) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    const value = data[key];
+
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+
+    return Array.isArray(value) ? value.join(' ') : String(value);
+  });
+}
+
+/**
+ * Render response data according to the render options
+ * @param {Object} data - Response data
+ * @param {Function} formatText - Default plain text formatter for this route (data, lang)
+ * @param {Object} options - Render options from getRenderOptions
+ * @returns {string|Object} Rendered body (objects are sent as JSON by Express)
+ */
+export function render(data, formatText, options) {
+  if (options.format === 'json') {
+    return data;
+  }
+
+  if (options.template) {
+    return renderTemplate(options.template, data);
+  }
+
+  return formatText(data, options.lang);
+}
+
+/**
+ * Send a rendered body (see render): objects as JSON, text as plain text
+ * Text is never sent as HTML, templates come straight from the query string
+ * @param {Object} res - Express response
+ * @param {string|Object} body - Rendered body
+ * @returns {Object} Express response
+ */
+export function sendRendered(res, body) {
+  if (typeof body === 'string') {
+    res.type('text');
+  }
+  return res.send(body);
+}
+
+/**
+ * Format a duration for chat (e.g. "45 s", "5 min", "2 h", "3 d")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Short duration
+ */
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+
+  if (seconds < 60) return `${seconds} s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} h`;
+  return `${Math.round(seconds / 86400)} d`;
+}
+
+/**
+ * Build a cache key that accounts for the render options
+ * so a JSON and a text response (or two languages) never collide
+ * @param {string} baseKey - Route cache key (e.g. elo:nickname)
+ * @param {Object} options - Render options from getRenderOptions
+ * @returns {string} Cache key
+ */
+export function getRenderCacheKey(baseKey, options) {
+  const key = `${baseKey}:${options.format}:${options.lang}`;
+  return options.template ? `${key}:${options.template}` : key;
+}
@@ -0,0 +1,119 @@
+/**
+ * Session boundary module
+ * Decides when a player's "today" (or current streaming session) started,
+ * either at a fixed hour in the player's timezone or after a gap of inactivity
+ */
+
+import { config } from '../config/index.js';
+import { getChannelSessionSettings } from './channels.js';
+
+/**
+ * Get session settings for a player
+ * Defaults, then the settings of the player's channel, then PLAYER_SESSIONS overrides
+ * @param {string} [nickname] - Player nickname
+ * @returns {Object} Settings: mode, timezone, startHour, inactivityHours
+ */
+export function getSessionSettings(nickname) {
+  const { players, ...defaults } = config.sessions;
+  if (!nickname) return defaults;
+
+  const overrides = Object.entries(players)
+    .find(([name]) => name.toLowerCase() === nickname.toLowerCase())?.[1];
+
+  return { ...defaults, ...getChannelSessionSettings(nickname), ...overrides };
+}
+
+/**
+ * Get the UTC offset of a timezone at a given instant
+ * @param {string} timezone - IANA timezone (e.g. America/Sao_Paulo)
+ * @param {number} timestamp - Instant in milliseconds
+ * @returns {number} Offset in milliseconds (local time - UTC)
+ */
+function getTimezoneOffset(timezone, timestamp) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const localAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return localAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Get the start of the current day in a timezone, where the day begins at startHour
+ * Matches before that hour belong to the previous day
+ * @param {string} timezone - IANA timezone
+ * @param {number} startHour - Hour the day starts (0-23)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Timestamp in milliseconds
+ */
+export function getDayStart(timezone, startHour, now = Date.now()) {
+  // Wall clock time in the timezone, expressed as if it were UTC
+  const local = new Date(now + getTimezoneOffset(timezone, now));
+
+  const dayStartLocal = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), startHour);
+  const boundaryLocal = local.getUTCHours() < startHour
+    ? dayStartLocal - 24 * 60 * 60 * 1000
+    : dayStartLocal;
+
+  // Convert back to UTC (second pass corrects DST changes between now and the boundary)
+  const guess = boundaryLocal - getTimezoneOffset(timezone, now);
+  return boundaryLocal - getTimezoneOffset(timezone, guess);
+}
+
+/**
+ * Get the start of the current session after a gap of inactivity
+ * The session begins with the first match in the latest chain of matches
+ * separated by less than inactivityHours. If the player has been inactive
+ * for longer than that, the last session ended and a new (empty) one began
+ * @param {Array} matches - History matches, most recent first (started_at/finished_at in seconds)
+ * @param {number} inactivityHours - Gap between matches that ends a session
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Timestamp in milliseconds
+ */
+export function getInactivitySessionStart(matches, inactivityHours, now = Date.now()) {
+  const gap = inactivityHours * 60 * 60 * 1000;
+
+  if (!matches || matches.length === 0) {
+    return now - gap;
+  }
+
+  const latestEnd = matches[0].finished_at * 1000;
+  if (now - latestEnd > gap) {
+    return latestEnd + gap;
+  }
+
+  let sessionStart = matches[0].started_at * 1000;
+  for (let i = 1; i < matches.length; i++) {
+    if (sessionStart - matches[i].finished_at * 1000 > gap) {
+      break;
+    }
+    sessionStart = matches[i].started_at * 1000;
+  }
+
+  // Just before the first match so it is counted in the session
+  return sessionStart - 1;
+}
+
+/**
+ * Get the start of the current session for a player
+ * @param {Object} settings - Session settings from getSessionSettings
+ * @param {Array} matches - History matches, most recent first
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Timestamp in milliseconds
+ */
+export function getSessionStart(settings, matches, now = Date.now()) {
+  if (settings.mode === 'inactivity') {
+    return getInactivitySessionStart(matches, settings.inactivityHours, now);
+  }
+
+  return getDayStart(settings.timezone, settings.startHour, now);
+}
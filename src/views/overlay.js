@@ -0,0 +1,106 @@
+/**
+ * Overlay view
+ * HTML widget for OBS browser sources. The page holds no data: it listens to
+ * the overlay event stream, whose first event is the current state
+ */
+
+import { LEVELS } from '../utils/levels.js';
+
+// Colors by theme (the page background is always transparent for OBS)
+export const THEMES = {
+  dark: { card: 'rgba(18, 18, 22, 0.85)', text: '#ffffff', muted: '#a1a1aa' },
+  light: { card: 'rgba(255, 255, 255, 0.9)', text: '#18181b', muted: '#52525b' },
+  // No card, shadowed text straight on the stream
+  clear: { card: 'transparent', text: '#ffffff', muted: '#e4e4e7' }
+};
+
+// FACEIT orange
+const DEFAULT_ACCENT = '#ff5500';
+
+/**
+ * Parse an accent color (hex, with or without '#')
+ * @param {string} [value] - Raw value
+ * @returns {string} Color (default accent if invalid)
+ */
+export function parseAccent(value) {
+  const hex = value?.trim().replace(/^#/, '');
+  return hex && /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex) ? `#${hex}` : DEFAULT_ACCENT;
+}
+
+/**
+ * Render the overlay page
+ * @param {Object} options - Overlay options
+ * @param {string} options.theme - Theme name (see THEMES)
+ * @param {string} options.accent - Accent color (see parseAccent)
+ * @returns {string} HTML page
+ */
+export function renderOverlayPage({ theme, accent }) {
+  const colors = THEMES[theme] || THEMES.dark;
+  const levelColors = Object.fromEntries(LEVELS.map(({ level, color }) => [level, color]));
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>FACEIT overlay</title>
+<style>
+  :root { --card: ${colors.card}; --text: ${colors.text}; --muted: ${colors.muted}; --accent: ${accent}; }
+  body { margin: 0; background: transparent; font-family: 'Segoe UI', Roboto, Arial, sans-serif; color: var(--text); }
+  .card { display: inline-flex; align-items: center; gap: 14px; padding: 12px 18px; border-radius: 12px;
+    background: var(--card); border-left: 4px solid var(--accent); ${theme === 'clear' ? 'text-shadow: 0 1px 3px #000;' : ''} }
+  .card.hidden { visibility: hidden; }
+  .level { width: 44px; height: 44px; border-radius: 50%; border: 4px solid var(--level, #eee);
+    display: flex; align-items: center; justify-content: center; font-size: 20px; font-weight: 700; box-sizing: border-box; }
+  .nickname { font-size: 14px; color: var(--muted); }
+  .elo { font-size: 28px; font-weight: 700; line-height: 1.1; }
+  .delta { font-size: 16px; margin-left: 6px; }
+  .up { color: #22c55e; } .down { color: #ef4444; }
+  .today { font-size: 14px; color: var(--muted); }
+  .streak { display: flex; gap: 3px; margin-top: 4px; }
+  .streak span { width: 14px; height: 14px; border-radius: 3px; font-size: 10px; font-weight: 700;
+    display: flex; align-items: center; justify-content: center; color: #fff; }
+  .streak .W { background: #22c55e; } .streak .L { background: #ef4444; }
+</style>
+</head>
+<body>
+<div class="card hidden" id="card">
+  <div class="level" id="level"></div>
+  <div>
+    <div class="nickname" id="nickname"></div>
+    <div class="elo"><span id="elo"></span><span class="delta" id="delta"></span></div>
+    <div class="today" id="today"></div>
+    <div class="streak" id="streak"></div>
+  </div>
+</div>
+<script>
+  const LEVEL_COLORS = ${JSON.stringify(levelColors)};
+  const $ = id => document.getElementById(id);
+
+  function update(data) {
+    $('level').textContent = data.level;
+    $('level').style.setProperty('--level', LEVEL_COLORS[data.level] || '#eee');
+    $('nickname').textContent = data.nickname;
+    $('elo').textContent = data.elo + ' ELO';
+
+    const delta = data.eloDelta;
+    $('delta').textContent = delta === null ? '' : (delta > 0 ? '+' : '') + delta;
+    $('delta').className = 'delta ' + (delta > 0 ? 'up' : delta < 0 ? 'down' : '');
+
+    $('today').textContent = 'W ' + data.wins + ' / L ' + data.losses;
+    $('streak').replaceChildren(...data.results.slice().reverse().map(result => {
+      const cell = document.createElement('span');
+      cell.className = result;
+      cell.textContent = result;
+      return cell;
+    }));
+    $('card').classList.remove('hidden');
+  }
+
+  // Same path and query as this page: /overlay?nick=... -> /overlay/events?nick=...
+  const source = new EventSource(location.pathname.replace(/\\/$/, '') + '/events' + location.search);
+  source.addEventListener('update', event => update(JSON.parse(event.data)));
+</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,126 @@
+/**
+ * Chat bot tests
+ * The bot runs against a local fake IRC server, with test commands that do not call FACEIT
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { FakeIrcServer } from './helpers/fakeIrcServer.js';
+
+const CHANNEL = 'm9tzin';
+
+let server;
+let bot;
+let asked = 0;
+
+/**
+ * Send a chat message and wait for the bot's reply to it
+ * @param {Object} message - Chat message (see FakeIrcServer.chat)
+ * @returns {Promise<string>} Reply text
+ */
+async function ask(message) {
+  const id = `ask-${++asked}`;
+  const from = server.mark();
+  server.chat({ channel: CHANNEL, ...message, id });
+
+  const { line } = await server.waitFor(sent => sent.startsWith(`@reply-parent-msg-id=${id} `), from);
+  return line.slice(line.indexOf(' :') + 2);
+}
+
+/**
+ * Send chat messages, then a mod's !ping, and list every reply up to the ping's
+ * Messages are handled in order, so anything the bot answers comes before it
+ * @param {Array<Object>} messages - Chat messages (see FakeIrcServer.chat)
+ * @returns {Promise<Array<string>>} Replies to the messages
+ */
+async function repliesTo(messages) {
+  const from = server.mark();
+  for (const message of messages) {
+    server.chat({ channel: CHANNEL, ...message });
+  }
+  await ask({ user: 'sentinel_mod', text: '!ping', badges: 'moderator/1' });
+
+  return server.linesSince(from)
+    .filter(line => line.includes('PRIVMSG'))
+    .slice(0, -1)
+    .map(line => line.slice(line.indexOf(' :') + 2));
+}
+
+before(async () => {
+  server = new FakeIrcServer();
+
+  // Configuration is read on import
+  process.env.TWITCH_IRC_URL = await server.listen();
+  process.env.TWITCH_BOT_USERNAME = 'elo_bot';
+  process.env.TWITCH_BOT_TOKEN = 'secret';
+  process.env.TWITCH_CHANNELS = CHANNEL;
+  process.env.BOT_COOLDOWN = '60';
+  process.env.BOT_MOD_COMMANDS = 'refresh,secret';
+
+  const { COMMANDS } = await import('../src/bot/commands.js');
+  COMMANDS.ping = { command: 'ping', run: async playerQuery => `pong${playerQuery ? ` ${playerQuery}` : ''}` };
+  COMMANDS.cool = { command: 'cool', run: async () => 'cool' };
+  COMMANDS.secret = { command: 'secret', run: async () => 'secret' };
+
+  const { startBot } = await import('../src/bot/index.js');
+  bot = startBot();
+  await once(bot, 'connected');
+  await server.waitFor(`JOIN #${CHANNEL}`);
+});
+
+after(async () => {
+  bot?.close();
+  await server?.close();
+});
+
+test('answers a command as a reply, with its argument', async () => {
+  assert.equal(await ask({ user: 'viewer_one', text: '!ping s1mple' }), 'pong s1mple');
+});
+
+test('ignores unknown commands, plain messages and its own messages', async () => {
+  const replies = await repliesTo([
+    { user: 'viewer_one', text: '!unknown' },
+    { user: 'viewer_one', text: 'ping' },
+    { user: 'elo_bot', text: '!ping' }
+  ]);
+
+  assert.deepEqual(replies, []);
+});
+
+test('applies the cooldown to viewers, per command', async () => {
+  const replies = await repliesTo([
+    { user: 'viewer_one', text: '!cool' },
+    { user: 'viewer_two', text: '!cool' },
+    { user: 'viewer_two', text: '!COOL' }
+  ]);
+
+  assert.deepEqual(replies, ['cool']);
+});
+
+test('lets mods and the broadcaster skip the cooldown', async () => {
+  // !cool is still cooling down from the previous test
+  const replies = await repliesTo([
+    { user: 'viewer_one', text: '!cool' },
+    { user: 'some_mod', text: '!cool', badges: 'moderator/1' },
+    { user: CHANNEL, text: '!cool', badges: 'broadcaster/1' }
+  ]);
+
+  assert.deepEqual(replies, ['cool', 'cool']);
+});
+
+test('answers mod-only commands for mods and the broadcaster only', async () => {
+  const replies = await repliesTo([
+    { user: 'viewer_one', text: '!secret' },
+    { user: 'some_mod', text: '!secret', badges: 'moderator/1' },
+    { user: CHANNEL, text: '!secret', badges: 'broadcaster/1' }
+  ]);
+
+  assert.deepEqual(replies, ['secret', 'secret']);
+});
+
+test('answers PING from the server', async () => {
+  const from = server.mark();
+  server.send('PING :tmi.twitch.tv');
+  await server.waitFor('PONG :tmi.twitch.tv', from);
+});
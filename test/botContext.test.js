@@ -0,0 +1,124 @@
+/**
+ * Bot context tests
+ * Nightbot headers and StreamElements query parameters captured from real urlfetch calls
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseNightbotHeader, getBotContext, mentionMiddleware } from '../src/middlewares/botContext.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/botHeaders.json', import.meta.url), 'utf8'));
+
+/**
+ * Build the parts of an Express request getBotContext reads
+ * @param {Object} [headers] - Request headers
+ * @param {Object} [query] - Query parameters
+ * @returns {Object} Fake request
+ */
+function fakeRequest(headers = {}, query = {}) {
+  const lowercased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lowercased[name.toLowerCase()], query };
+}
+
+/**
+ * Build the parts of an Express response mentionMiddleware uses
+ * @param {string} [contentType] - Content-Type already set by the route
+ * @returns {Object} Fake response (sent body in .body)
+ */
+function fakeResponse(contentType) {
+  const headers = { 'content-type': contentType };
+  return {
+    get: name => headers[name.toLowerCase()],
+    type(type) {
+      headers['content-type'] = type === 'text' ? 'text/plain; charset=utf-8' : type;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('parseNightbotHeader reads every field of a Nightbot-User header', () => {
+  assert.deepEqual(parseNightbotHeader(fixtures.nightbot.user), {
+    name: 'viewer_one',
+    displayName: 'Viewer_One',
+    provider: 'twitch',
+    providerId: '987654321',
+    userLevel: 'moderator'
+  });
+});
+
+test('parseNightbotHeader ignores missing and nameless headers', () => {
+  assert.equal(parseNightbotHeader(undefined), null);
+  assert.equal(parseNightbotHeader(''), null);
+  assert.equal(parseNightbotHeader('provider=twitch'), null);
+});
+
+test('getBotContext reads the Nightbot channel and user', () => {
+  const req = fakeRequest({
+    'Nightbot-Channel': fixtures.nightbot.channel,
+    'Nightbot-User': fixtures.nightbot.user
+  });
+
+  assert.deepEqual(getBotContext(req), {
+    provider: 'nightbot',
+    channel: 'm9tzin',
+    user: { name: 'viewer_one', displayName: 'Viewer_One', level: 'moderator' }
+  });
+});
+
+test('getBotContext handles Nightbot timers (channel without user)', () => {
+  const req = fakeRequest({ 'Nightbot-Channel': fixtures.nightbotTimer.channel });
+
+  assert.deepEqual(getBotContext(req), { provider: 'nightbot', channel: 'm9tzin', user: null });
+});
+
+test('getBotContext prefers Nightbot headers over query parameters', () => {
+  const req = fakeRequest({ 'Nightbot-Channel': fixtures.nightbot.channel }, fixtures.streamElements.query);
+
+  assert.equal(getBotContext(req).provider, 'nightbot');
+});
+
+test('getBotContext reads StreamElements channel and user variables', () => {
+  const req = fakeRequest({}, fixtures.streamElements.query);
+
+  assert.deepEqual(getBotContext(req), {
+    provider: 'streamelements',
+    channel: 'm9tzin',
+    user: { name: 'viewer_one', displayName: 'Viewer_One', level: null }
+  });
+});
+
+test('getBotContext returns an empty context for direct requests', () => {
+  assert.deepEqual(getBotContext(fakeRequest({}, { nick: 's1mple' })), { provider: null, channel: null, user: null });
+  assert.deepEqual(getBotContext(fakeRequest({}, { channel: ' ', user: '@' })), { provider: null, channel: null, user: null });
+});
+
+test('mentionMiddleware addresses the viewer in a plain text response', () => {
+  const req = fakeRequest({}, { mention: '1', user: '<img src=x onerror=alert(1)>' });
+  req.bot = getBotContext(req);
+  const res = fakeResponse();
+
+  mentionMiddleware(req, res, () => {});
+  res.send('2150, W: 3, L: 1');
+
+  assert.equal(res.body, '@<img src=x onerror=alert(1)> 2150, W: 3, L: 1');
+  assert.equal(res.get('Content-Type'), 'text/plain; charset=utf-8');
+});
+
+test('mentionMiddleware leaves JSON and HTML responses alone', () => {
+  for (const contentType of ['application/json; charset=utf-8', 'text/html; charset=utf-8']) {
+    const req = fakeRequest({}, { mention: '1', user: 'viewer_one' });
+    req.bot = getBotContext(req);
+    const res = fakeResponse(contentType);
+
+    mentionMiddleware(req, res, () => {});
+    res.send('{"elo":2150}');
+
+    assert.equal(res.body, '{"elo":2150}');
+    assert.equal(res.get('Content-Type'), contentType);
+  }
+});
@@ -0,0 +1,146 @@
+/**
+ * Fake IRC server
+ * Local stand-in for Twitch chat: records every line clients send and lets
+ * tests push lines to the connected client or drop its connection
+ */
+
+import net from 'node:net';
+
+export class FakeIrcServer {
+  constructor() {
+    this.server = net.createServer(socket => this.accept(socket));
+    this.sockets = [];
+    // Lines received from clients, in order: { line, connection }
+    this.received = [];
+    this.waiters = [];
+    this.messageCount = 0;
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Server URL (irc://127.0.0.1:<port>)
+   */
+  listen() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`irc://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  /**
+   * Handle a new client connection
+   * Answers NICK with the 001 welcome, like Twitch after a successful login
+   * @param {net.Socket} socket - Client socket
+   */
+  accept(socket) {
+    const connection = this.sockets.push(socket) - 1;
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.startsWith('NICK ')) {
+          socket.write(':tmi.twitch.tv 001 bot :Welcome, GLHF!\r\n');
+        }
+        this.received.push({ line, connection });
+        this.notify();
+      }
+    });
+  }
+
+  /**
+   * Resolve the waiters whose line arrived
+   */
+  notify() {
+    this.waiters = this.waiters.filter(waiter => {
+      const match = this.received.slice(waiter.from).find(({ line }) => waiter.predicate(line));
+      if (match) {
+        clearTimeout(waiter.timer);
+        waiter.resolve(match);
+      }
+      return !match;
+    });
+  }
+
+  /**
+   * Position of the next received line, to wait only for lines sent after it
+   * @returns {number} Cursor
+   */
+  mark() {
+    return this.received.length;
+  }
+
+  /**
+   * Wait for a client line
+   * @param {Function|string} predicate - Line test, or the exact line
+   * @param {number} [from=0] - Ignore lines before this cursor (see mark)
+   * @param {number} [timeout=3000] - Milliseconds before failing
+   * @returns {Promise<Object>} { line, connection }
+   */
+  waitFor(predicate, from = 0, timeout = 3000) {
+    const test = typeof predicate === 'string' ? line => line === predicate : predicate;
+
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate: test, from, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(other => other !== waiter);
+        reject(new Error(`Timed out waiting for an IRC line (${predicate})`));
+      }, timeout);
+
+      this.waiters.push(waiter);
+      this.notify();
+    });
+  }
+
+  /**
+   * Lines received since a cursor
+   * @param {number} from - Cursor (see mark)
+   * @returns {Array<string>} Lines
+   */
+  linesSince(from) {
+    return this.received.slice(from).map(({ line }) => line);
+  }
+
+  /**
+   * Send a raw line to the latest connection
+   * @param {string} line - Raw line (without CRLF)
+   */
+  send(line) {
+    this.sockets.at(-1).write(`${line}\r\n`);
+  }
+
+  /**
+   * Send a chat message to the latest connection, as Twitch would relay it
+   * @param {Object} message - Message
+   * @param {string} message.channel - Channel login
+   * @param {string} message.user - Sender login
+   * @param {string} message.text - Message text
+   * @param {string} [message.id] - Message ID (default: msg-<n>)
+   * @param {string} [message.badges] - Badges tag, e.g. moderator/1
+   */
+  chat({ channel, user, text, id = `msg-${++this.messageCount}`, badges = '' }) {
+    this.send(`@badges=${badges};display-name=${user};id=${id} :${user}!${user}@${user}.tmi.twitch.tv PRIVMSG #${channel} :${text}`);
+  }
+
+  /**
+   * Drop the latest connection
+   */
+  drop() {
+    this.sockets.at(-1).destroy();
+  }
+
+  /**
+   * Stop the server and drop every connection
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Fake Redis client
+ * In-process stand-in for the ioredis commands the Redis cache backend uses
+ * (GET, SET with PX, DEL, SCAN), with key expiry. Clients created with the
+ * same store see the same keys, like two bot instances sharing one Redis
+ */
+
+export class FakeRedis {
+  /**
+   * @param {Map} [store] - Keys shared with other clients: key -> { value, expiresAt }
+   */
+  constructor(store = new Map()) {
+    this.store = store;
+    // Commands received, e.g. ['set', 'bot:elo:x', '{...}', 'PX', 1000]
+    this.commands = [];
+    // Error thrown by every command while set (simulates an outage)
+    this.failure = null;
+  }
+
+  /**
+   * Record a command, failing it during a simulated outage
+   * @param {Array} command - Command name and arguments
+   */
+  run(command) {
+    this.commands.push(command);
+    if (this.failure) {
+      throw this.failure;
+    }
+  }
+
+  /**
+   * Drop a key if it expired
+   * @param {string} key - Key
+   * @returns {Object|undefined} Live entry
+   */
+  live(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  on() {
+    return this;
+  }
+
+  async get(key) {
+    this.run(['get', key]);
+    return this.live(key)?.value ?? null;
+  }
+
+  async set(key, value, mode, ttl) {
+    this.run(['set', key, value, mode, ttl].filter(arg => arg !== undefined));
+    this.store.set(key, { value, expiresAt: mode === 'PX' ? Date.now() + ttl : null });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    this.run(['del', ...keys]);
+    return keys.filter(key => this.live(key) && this.store.delete(key)).length;
+  }
+
+  async scan(cursor, ...args) {
+    this.run(['scan', cursor, ...args]);
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+      options[args[i].toUpperCase()] = args[i + 1];
+    }
+
+    // Glob patterns: only '*' is used by the backend
+    const escaped = (options.MATCH || '*').split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`^${escaped.join('.*')}$`);
+    const keys = [...this.store.keys()].filter(key => this.live(key) && pattern.test(key));
+
+    const start = Number(cursor);
+    const end = start + (options.COUNT || 10);
+    return [end >= keys.length ? '0' : String(end), keys.slice(start, end)];
+  }
+
+  async quit() {
+    this.run(['quit']);
+    return 'OK';
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Twitch IRC client tests
+ * Parsing of captured Twitch lines, and a real connection to a local fake IRC server
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { parseIrcLine, TwitchIrcClient } from '../src/bot/ircClient.js';
+import { FakeIrcServer } from './helpers/fakeIrcServer.js';
+
+const PRIVMSG = '@badge-info=;badges=moderator/1,subscriber/12;display-name=Viewer\\sOne;id=b34ccfc7-4977-403a-8a94-33c6bac34fb8;mod=1 '
+  + ':viewer_one!viewer_one@viewer_one.tmi.twitch.tv PRIVMSG #M9TZin :!elo s1mple';
+
+let server;
+let url;
+
+before(async () => {
+  server = new FakeIrcServer();
+  url = await server.listen();
+});
+
+after(() => server.close());
+
+/**
+ * Connect a client to the fake server and wait for the welcome
+ * @returns {Promise<TwitchIrcClient>} Logged in client
+ */
+async function connectClient() {
+  const client = new TwitchIrcClient({ url, username: 'elo_bot', token: 'secret', channels: ['m9tzin', 'other'] });
+  client.connect();
+  await once(client, 'connected');
+  return client;
+}
+
+test('parseIrcLine reads tags, prefix, command and trailing parameter', () => {
+  const message = parseIrcLine(PRIVMSG);
+
+  assert.equal(message.command, 'PRIVMSG');
+  assert.equal(message.prefix, 'viewer_one!viewer_one@viewer_one.tmi.twitch.tv');
+  assert.deepEqual(message.params, ['#M9TZin', '!elo s1mple']);
+  assert.equal(message.tags['display-name'], 'Viewer One');
+  assert.equal(message.tags.mod, '1');
+});
+
+test('parseIrcLine reads lines without tags or prefix', () => {
+  assert.deepEqual(parseIrcLine('PING :tmi.twitch.tv'), { tags: {}, prefix: null, command: 'PING', params: ['tmi.twitch.tv'] });
+  assert.deepEqual(parseIrcLine(':tmi.twitch.tv RECONNECT'), { tags: {}, prefix: 'tmi.twitch.tv', command: 'RECONNECT', params: [] });
+});
+
+test('toChatMessage reads the channel, user, badges and message ID', () => {
+  const client = new TwitchIrcClient({ url, username: 'elo_bot', token: 'secret', channels: [] });
+
+  assert.deepEqual(client.toChatMessage(parseIrcLine(PRIVMSG)), {
+    id: 'b34ccfc7-4977-403a-8a94-33c6bac34fb8',
+    channel: 'm9tzin',
+    text: '!elo s1mple',
+    user: { name: 'viewer_one', displayName: 'Viewer One', mod: true, broadcaster: false }
+  });
+});
+
+test('logs in with capabilities, OAuth token and nickname, then joins every channel', async () => {
+  const from = server.mark();
+  const client = await connectClient();
+
+  try {
+    await server.waitFor('JOIN #other', from);
+    assert.deepEqual(server.linesSince(from), [
+      'CAP REQ :twitch.tv/tags twitch.tv/commands',
+      'PASS oauth:secret',
+      'NICK elo_bot',
+      'JOIN #m9tzin',
+      'JOIN #other'
+    ]);
+  } finally {
+    client.close();
+  }
+});
+
+test('answers PING with PONG', async () => {
+  const client = await connectClient();
+
+  try {
+    const from = server.mark();
+    server.send('PING :tmi.twitch.tv');
+    await server.waitFor('PONG :tmi.twitch.tv', from);
+  } finally {
+    client.close();
+  }
+});
+
+test('emits chat messages and replies to them', async () => {
+  const client = await connectClient();
+
+  try {
+    const received = once(client, 'message');
+    server.chat({ channel: 'm9tzin', user: 'viewer_one', text: '!elo', id: 'msg-1' });
+    const [message] = await received;
+    assert.equal(message.text, '!elo');
+
+    const from = server.mark();
+    client.say(message.channel, `line one\r\nline two ${'x'.repeat(600)}`, message.id);
+    const { line } = await server.waitFor(sent => sent.includes('PRIVMSG'), from);
+
+    assert.ok(line.startsWith('@reply-parent-msg-id=msg-1 PRIVMSG #m9tzin :line one line two '));
+    // Twitch drops messages over 500 characters
+    assert.equal(line.split(' :').slice(1).join(' :').length, 500);
+  } finally {
+    client.close();
+  }
+});
+
+test('reconnects and joins again after the connection drops', async () => {
+  const client = await connectClient();
+
+  try {
+    const connections = server.sockets.length;
+    const from = server.mark();
+    server.drop();
+
+    const { connection } = await server.waitFor('JOIN #other', from, 5000);
+    assert.equal(connection, connections);
+    await once(client, 'connected');
+  } finally {
+    client.close();
+  }
+});
+
+test('reconnects when Twitch asks to (RECONNECT)', async () => {
+  const client = await connectClient();
+
+  try {
+    const connections = server.sockets.length;
+    const from = server.mark();
+    server.send(':tmi.twitch.tv RECONNECT');
+
+    const { connection } = await server.waitFor('NICK elo_bot', from, 5000);
+    assert.equal(connection, connections);
+  } finally {
+    client.close();
+  }
+});
+
+test('does not reconnect once closed', async () => {
+  const client = await connectClient();
+  const connections = server.sockets.length;
+
+  client.close();
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  assert.equal(server.sockets.length, connections);
+  assert.equal(client.reconnectTimer, null);
+});
@@ -0,0 +1,42 @@
+/**
+ * In-memory cache tests
+ * The response cache and the session ELO cache singletons, with a tiny response cache
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let cache;
+let sessionEloCache;
+
+before(async () => {
+  // Configuration is read on import
+  process.env.CACHE_BACKEND = 'memory';
+  process.env.CACHE_MAX_ENTRIES = '5';
+
+  ({ cache, sessionEloCache } = await import('../src/utils/cache.js'));
+});
+
+test('evicts the least recently used responses', async () => {
+  for (let i = 0; i < 8; i++) {
+    await cache.set(`elo:player${i}:text:pt-br`, i);
+  }
+
+  assert.equal(await cache.get('elo:player0:text:pt-br'), null);
+  assert.equal(await cache.get('elo:player7:text:pt-br'), 7);
+  assert.equal((await cache.getStats()).size, 5);
+});
+
+test('keeps session ELO data when responses fill the cache', async () => {
+  const sessionStart = Date.now() - 60 * 60 * 1000;
+  await sessionEloCache.setSession('p-1', sessionStart, 2100, true);
+  await sessionEloCache.recordElo('p-1', 2150);
+
+  // Distinct nicknames, templates and languages are all new response keys
+  for (let i = 0; i < 20; i++) {
+    await cache.wrap(`elo:player${i}:text:en:{elo} #${i}`, async () => `${2000 + i}`);
+  }
+
+  assert.equal((await sessionEloCache.getSession('p-1', sessionStart)).initialElo, 2100);
+  assert.equal((await sessionEloCache.getLastSeenElo('p-1')).elo, 2150);
+});
@@ -0,0 +1,103 @@
+/**
+ * Rate limit tests
+ * A /stats-like route behind the bot context, channel and rate limit middlewares,
+ * called over HTTP (each test uses its own client IP through X-Forwarded-For)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+const channelsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-')), 'channels.json');
+
+let server;
+let baseUrl;
+let handled = 0;
+
+/**
+ * Call the route several times and count the calls that reached the handler
+ * @param {string} ip - Client IP
+ * @param {Array<string>} paths - Request paths
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<number>} Handled calls
+ */
+async function countHandled(ip, paths, headers = {}) {
+  const start = handled;
+  for (const requestPath of paths) {
+    await fetch(`${baseUrl}${requestPath}`, { headers: { 'X-Forwarded-For': ip, ...headers } });
+  }
+  return handled - start;
+}
+
+before(async () => {
+  fs.writeFileSync(channelsFile, JSON.stringify({ streamer: { player: 'm9TZin' } }));
+
+  // Configuration is read on import
+  process.env.CHANNELS_FILE = channelsFile;
+  process.env.RATE_LIMIT_ALLOWLIST = 'streamer';
+
+  const { loadChannels, channelMiddleware } = await import('../src/utils/channels.js');
+  const { botContextMiddleware } = await import('../src/middlewares/botContext.js');
+  const { rateLimitMiddleware } = await import('../src/middlewares/rateLimit.js');
+  loadChannels();
+
+  const commands = express.Router();
+  commands.get('/stats', rateLimitMiddleware({ namespace: 'stats', playerParam: 'player' }), (req, res) => {
+    handled++;
+    res.send('ok');
+  });
+
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(botContextMiddleware);
+  app.use('/c/:channel', channelMiddleware, commands);
+  app.use('/', channelMiddleware, commands);
+  app.use((error, req, res, next) => res.status(429).send(error.message));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(path.dirname(channelsFile), { recursive: true, force: true });
+});
+
+test('limits a client looking up the same player', async () => {
+  const paths = Array.from({ length: 6 }, () => '/stats?player=s1mple');
+
+  assert.equal(await countHandled('10.0.0.1', paths), 2);
+});
+
+test('does not reset the limit when the channel changes', async () => {
+  const queries = Array.from({ length: 6 }, (_, i) => `/stats?player=s1mple&channel=x${i}`);
+  assert.equal(await countHandled('10.0.0.2', queries), 2);
+
+  let nightbot = 0;
+  for (let i = 0; i < 6; i++) {
+    nightbot += await countHandled('10.0.0.3', ['/stats?player=s1mple'], { 'Nightbot-Channel': `name=x${i}` });
+  }
+  assert.equal(nightbot, 2);
+});
+
+test('caps an IP that changes both the channel and the player', async () => {
+  const paths = Array.from({ length: 15 }, (_, i) => `/stats?player=p${i}&channel=x${i}`);
+
+  // stats: burst of 10 per IP
+  assert.equal(await countHandled('10.0.0.4', paths), 10);
+});
+
+test('only skips the limit for an allowlisted channel of a /c/<channel> path', async () => {
+  const claimed = Array.from({ length: 6 }, () => '/stats?player=s1mple&channel=streamer');
+  assert.equal(await countHandled('10.0.0.5', claimed), 2);
+
+  const header = Array.from({ length: 6 }, () => '/stats?player=zywoo');
+  assert.equal(await countHandled('10.0.0.6', header, { 'Nightbot-Channel': 'name=streamer' }), 2);
+
+  const registered = Array.from({ length: 6 }, () => '/c/streamer/stats?player=s1mple');
+  assert.equal(await countHandled('10.0.0.7', registered), 6);
+});
@@ -0,0 +1,144 @@
+/**
+ * Redis cache backend tests
+ * The backend, the response cache and the session ELO cache run on an in-process fake Redis client
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RedisCacheBackend } from '../src/utils/cacheBackends/redis.js';
+import { Cache, SessionEloCache } from '../src/utils/cache.js';
+import { FakeRedis } from './helpers/fakeRedis.js';
+
+const PREFIX = 'faceit-elo-bot:';
+
+/**
+ * Wait a few milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('stores entries as JSON under the key prefix', async () => {
+  const client = new FakeRedis();
+  const backend = new RedisCacheBackend({ prefix: PREFIX, client });
+
+  await backend.set('elo:m9tzin:text:pt-br', { data: '2150, W: 3, L: 1', lastUpdate: 1 });
+
+  assert.deepEqual(await backend.get('elo:m9tzin:text:pt-br'), { data: '2150, W: 3, L: 1', lastUpdate: 1 });
+  assert.equal(client.store.get(`${PREFIX}elo:m9tzin:text:pt-br`).value, '{"data":"2150, W: 3, L: 1","lastUpdate":1}');
+  assert.equal(await backend.get('elo:unknown'), null);
+});
+
+test('lets Redis expire entries after maxAge', async () => {
+  const client = new FakeRedis();
+  const backend = new RedisCacheBackend({ prefix: PREFIX, client });
+
+  await backend.set('elo:m9tzin', { data: 1, lastUpdate: Date.now() }, 30.5);
+
+  assert.deepEqual(client.commands.at(-1).slice(3), ['PX', 31]);
+  assert.notEqual(await backend.get('elo:m9tzin'), null);
+  await sleep(50);
+  assert.equal(await backend.get('elo:m9tzin'), null);
+});
+
+test('clears keys by prefix with SCAN across several pages', async () => {
+  const client = new FakeRedis();
+  const backend = new RedisCacheBackend({ prefix: PREFIX, client });
+
+  for (let i = 0; i < 150; i++) {
+    await backend.set(`stats:player${i}:text`, { data: i, lastUpdate: 0 });
+  }
+  await backend.set('elo:m9tzin:text', { data: 0, lastUpdate: 0 });
+  client.store.set('other-app:stats:x', { value: '{}', expiresAt: null });
+
+  assert.equal((await backend.getStats()).size, 151);
+
+  await backend.clear('stats:');
+  assert.ok(client.commands.filter(([command]) => command === 'scan').length > 2);
+  assert.deepEqual([...client.store.keys()].sort(), [`${PREFIX}elo:m9tzin:text`, 'other-app:stats:x']);
+
+  await backend.delete('elo:m9tzin:text');
+  assert.deepEqual(await backend.getStats(), { backend: 'redis', size: 0 });
+});
+
+test('serves fresh entries from Redis without calling the fetcher again', async () => {
+  const cache = new Cache(new RedisCacheBackend({ prefix: PREFIX, client: new FakeRedis() }), { ttl: 1000, staleTtl: 1000 });
+  let calls = 0;
+  const fetcher = async () => ++calls;
+
+  assert.equal(await cache.wrap('elo:m9tzin', fetcher), 1);
+  assert.equal(await cache.wrap('elo:m9tzin', fetcher), 1);
+  assert.equal(calls, 1);
+  assert.equal((await cache.lookup('elo:m9tzin')).state, 'hit');
+});
+
+test('serves stale entries while refreshing them in the background', async () => {
+  const cache = new Cache(new RedisCacheBackend({ prefix: PREFIX, client: new FakeRedis() }), { ttl: 20, staleTtl: 1000 });
+  let calls = 0;
+  const fetcher = async () => ++calls;
+
+  await cache.wrap('stats:m9tzin', fetcher);
+  await sleep(40);
+
+  assert.equal((await cache.lookup('stats:m9tzin')).state, 'stale');
+  assert.equal(await cache.wrap('stats:m9tzin', fetcher), 1);
+
+  // The background refresh stores the new value
+  await sleep(5);
+  assert.equal(calls, 2);
+  assert.equal(await cache.get('stats:m9tzin'), 2);
+});
+
+test('shares entries between instances using the same Redis', async () => {
+  const store = new Map();
+  const first = new Cache(new RedisCacheBackend({ prefix: PREFIX, client: new FakeRedis(store) }), { ttl: 1000, staleTtl: 1000 });
+  const second = new Cache(new RedisCacheBackend({ prefix: PREFIX, client: new FakeRedis(store) }), { ttl: 1000, staleTtl: 1000 });
+
+  await first.wrap('rank:m9tzin', async () => '#1234 SA');
+
+  assert.equal(await second.wrap('rank:m9tzin', async () => assert.fail('fetched twice')), '#1234 SA');
+  await second.clear('rank:*');
+  assert.equal(await first.get('rank:m9tzin'), null);
+});
+
+test('treats a Redis outage as a cache miss', async () => {
+  const client = new FakeRedis();
+  const cache = new Cache(new RedisCacheBackend({ prefix: PREFIX, client }), { ttl: 1000, staleTtl: 1000 });
+  client.failure = new Error('connect ECONNREFUSED');
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(await cache.wrap('elo:m9tzin', async () => 2150), 2150);
+    assert.equal(cache.counters.backendErrors, 2);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('shares session ELO data between instances', async () => {
+  const store = new Map();
+  const first = new SessionEloCache(new RedisCacheBackend({ prefix: PREFIX, client: new FakeRedis(store) }));
+  const second = new SessionEloCache(new RedisCacheBackend({ prefix: PREFIX, client: new FakeRedis(store) }));
+  const sessionStart = Date.now() - 60 * 60 * 1000;
+
+  await first.recordElo('p-1', 2150);
+  const seen = await second.getLastSeenElo('p-1');
+  assert.equal(seen.elo, 2150);
+
+  await first.setSession('p-1', sessionStart, 2100, true);
+  const session = await second.getSession('p-1', sessionStart);
+  assert.equal(session.initialElo, 2100);
+  assert.equal(session.exact, true);
+
+  // Sessions expire with Redis keys after a day
+  const setCommand = first.backend.client.commands.find(([command, key]) => command === 'set' && key === `${PREFIX}session:p-1`);
+  assert.deepEqual(setCommand.slice(3), ['PX', 24 * 60 * 60 * 1000]);
+
+  // A new session drops the old one for every instance
+  assert.equal(await second.getSession('p-1', sessionStart + 1), null);
+  assert.equal(await first.getSession('p-1', sessionStart), null);
+  assert.equal(await second.getLastSeenElo('p-2'), null);
+});